@@ -0,0 +1,100 @@
+/* assistantAnalytics.js - Admin dashboard over Assistant_Chat_Log__c: volume, satisfaction, citations, downvotes */
+import { LightningElement, track } from 'lwc';
+import getChatAnalytics from '@salesforce/apex/AssistantController.getChatAnalytics';
+
+const PERIOD_OPTIONS = [
+   { label: 'Last 7 days', value: '7' },
+   { label: 'Last 30 days', value: '30' },
+   { label: 'Last 90 days', value: '90' }
+];
+
+export default class AssistantAnalytics extends LightningElement {
+   @track summary = null;
+   @track isLoading = false;
+   @track errorMessage = '';
+   period = '30';
+
+   connectedCallback() {
+       this.loadSummary();
+   }
+
+   async loadSummary() {
+       this.isLoading = true;
+       this.errorMessage = '';
+
+       try {
+           const summary = await getChatAnalytics({ days: Number(this.period) });
+           const busiestDay = Math.max(1, ...summary.daily.map(day => day.count));
+           this.summary = {
+               ...summary,
+               // Bar height relative to the busiest day
+               daily: summary.daily.map(day => ({
+                   ...day,
+                   key: day.day,
+                   title: `${day.day}: ${day.count}`,
+                   barStyle: `height:${Math.max(2, Math.round((day.count / busiestDay) * 100))}%`
+               })),
+               errorCodes: summary.errorCodes.map(row => ({ ...row, key: row.code || 'none', label: row.code || 'Unknown' })),
+               topArticles: summary.topArticles.map(row => ({ ...row, key: row.article })),
+               downvotedQuestions: summary.downvotedQuestions.map((row, index) => ({ ...row, key: `question-${index}` }))
+           };
+       } catch (error) {
+           this.summary = null;
+           this.errorMessage = error.body?.message || 'Unable to load chat analytics.';
+       } finally {
+           this.isLoading = false;
+       }
+   }
+
+   handlePeriodChange(event) {
+       this.period = event.detail.value;
+       this.loadSummary();
+   }
+
+   get periodOptions() {
+       return PERIOD_OPTIONS;
+   }
+
+   get hasSummary() {
+       return !!this.summary;
+   }
+
+   get satisfactionText() {
+       const rate = this.summary?.satisfactionRate;
+       return rate === null || rate === undefined ? 'No feedback yet' : `${Math.round(rate * 100)}%`;
+   }
+
+   get feedbackText() {
+       return `${this.summary.positive} 👍 / ${this.summary.negative} 👎`;
+   }
+
+   get errorRateText() {
+       if (!this.summary.total) return '0%';
+       return `${Math.round((this.summary.errors / this.summary.total) * 100)}%`;
+   }
+
+   get latencyText() {
+       const latency = this.summary?.averageLatencyMs;
+       return latency === null || latency === undefined ? '-' : `${(latency / 1000).toFixed(1)} s`;
+   }
+
+   get hasDaily() {
+       return this.summary.daily.length > 0;
+   }
+
+   get hasErrorCodes() {
+       return this.summary.errorCodes.length > 0;
+   }
+
+   get hasTopArticles() {
+       return this.summary.topArticles.length > 0;
+   }
+
+   get hasDownvotedQuestions() {
+       return this.summary.downvotedQuestions.length > 0;
+   }
+
+   get hasPendingFeedback() {
+       return this.summary.pendingFeedback > 0;
+   }
+}
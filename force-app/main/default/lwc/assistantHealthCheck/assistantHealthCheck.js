@@ -0,0 +1,64 @@
+/* assistantHealthCheck.js - Admin check of the assistant's callout configuration */
+import { LightningElement, track } from 'lwc';
+import runHealthCheck from '@salesforce/apex/AssistantController.runHealthCheck';
+
+// Icon and text colour for each AssistantHealthCheck status
+const STATUS_DISPLAY = {
+   pass: { iconName: 'utility:success', variant: 'success', label: 'Passed' },
+   warn: { iconName: 'utility:warning', variant: 'warning', label: 'Warning' },
+   fail: { iconName: 'utility:error', variant: 'error', label: 'Failed' }
+};
+
+export default class AssistantHealthCheck extends LightningElement {
+   @track result = null;
+   @track isRunning = false;
+   @track errorMessage = '';
+
+   connectedCallback() {
+       this.handleRun();
+   }
+
+   async handleRun() {
+       this.isRunning = true;
+       this.errorMessage = '';
+
+       try {
+           const result = await runHealthCheck();
+           this.result = {
+               ...result,
+               checks: (result.checks || []).map((check, index) => ({
+                   ...check,
+                   key: `check-${index}`,
+                   ...(STATUS_DISPLAY[check.status] || STATUS_DISPLAY.fail)
+               }))
+           };
+       } catch (error) {
+           this.result = null;
+           this.errorMessage = error.body?.message || 'Unable to run the health check.';
+       } finally {
+           this.isRunning = false;
+       }
+   }
+
+   get hasResult() {
+       return !!this.result;
+   }
+
+   get summaryText() {
+       if (!this.result) return '';
+       const environment = this.result.environment ? `${this.result.environment} environment` : 'no environment';
+       return `${this.result.orgType} org, ${environment}`;
+   }
+
+   get summaryIcon() {
+       return this.result?.healthy ? 'utility:success' : 'utility:error';
+   }
+
+   get summaryVariant() {
+       return this.result?.healthy ? 'success' : 'error';
+   }
+
+   get summaryLabel() {
+       return this.result?.healthy ? 'Configuration looks healthy' : 'Configuration needs attention';
+   }
+}
@@ -0,0 +1,830 @@
+import { createElement } from 'lwc';
+import AssistantUI from 'c/assistantUI';
+import { getGenerateUrlCalledWith, getNavigateCalledWith } from 'lightning/navigation';
+import { EnclosingUtilityId, getUtilityInfo, onUtilityClick, setUtilityHighlighted, setUtilityLabel } from 'lightning/platformUtilityBarApi';
+import startChatResponse from '@salesforce/apex/AssistantController.startChatResponse';
+import pollChatResponse from '@salesforce/apex/AssistantController.pollChatResponse';
+import cancelChatResponse from '@salesforce/apex/AssistantController.cancelChatResponse';
+import submitChatFeedback from '@salesforce/apex/AssistantController.submitChatFeedback';
+import resolveCitations from '@salesforce/apex/AssistantController.resolveCitations';
+import generateConversationId from '@salesforce/apex/AssistantController.generateConversationId';
+import saveChatMessage from '@salesforce/apex/AssistantController.saveChatMessage';
+import getConversationHistory from '@salesforce/apex/AssistantController.getConversationHistory';
+import getConversationMessages from '@salesforce/apex/AssistantController.getConversationMessages';
+import getAssistantProfile from '@salesforce/apex/AssistantController.getAssistantProfile';
+import getQuotaStatus from '@salesforce/apex/AssistantController.getQuotaStatus';
+import executeAssistantAction from '@salesforce/apex/AssistantController.executeAssistantAction';
+import uploadChatAttachment from '@salesforce/apex/AssistantController.uploadChatAttachment';
+import discardChatAttachment from '@salesforce/apex/AssistantController.discardChatAttachment';
+import { LABELS, formatLabel } from '../labels';
+
+jest.mock('@salesforce/apex/AssistantController.startChatResponse', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.pollChatResponse', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.cancelChatResponse', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.submitChatFeedback', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.resolveCitations', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.generateConversationId', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.saveChatMessage', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.truncateConversation', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.getConversationHistory', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.getConversationMessages', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.getAssistantProfile', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.uploadChatAttachment', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.discardChatAttachment', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.getRecordFiles', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.exportConversationPdf', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.logConversationToRecord', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.executeAssistantAction', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/AssistantController.getQuotaStatus', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('lightning/platformUtilityBarApi', () => {
+   const { createTestWireAdapter } = require('@salesforce/wire-service-jest-util');
+   return {
+       EnclosingUtilityId: createTestWireAdapter(jest.fn()),
+       getUtilityInfo: jest.fn(),
+       onUtilityClick: jest.fn(),
+       setUtilityHighlighted: jest.fn(),
+       setUtilityLabel: jest.fn()
+   };
+}, { virtual: true });
+
+const CONVERSATION_ID = 'conv_1700000000000_abc1234';
+const REQUEST_ID = 'req0123456789abcdef01234567';
+
+// An action proposal as AssistantActions.normalize sends it
+const TASK_ACTION = {
+   id: 'action-0',
+   type: 'create_record',
+   label: 'Create follow-up task',
+   objectApiName: 'Task',
+   objectLabel: 'Task',
+   recordId: null,
+   fields: { Subject: 'Call back' },
+   summary: [{ field: 'Subject', label: 'Subject', value: 'Call back' }]
+};
+
+// AssistantException as Apex sends it: an AuraHandledException whose message is the JSON error
+function apexError(code, retryable = false, extra = {}) {
+   return { body: { message: JSON.stringify({ code, message: `${code} from Apex`, retryable, ...extra }) } };
+}
+
+// Apex calls and re-renders settle in microtasks
+async function flushPromises() {
+   for (let i = 0; i < 10; i++) {
+       await Promise.resolve();
+   }
+}
+
+// Run polling, reveal and retry timers until the response has finished
+async function runTimers() {
+   for (let i = 0; i < 20; i++) {
+       jest.runOnlyPendingTimers();
+       await flushPromises();
+   }
+}
+
+async function createComponent(props = {}) {
+   const element = createElement('c-assistant-ui', { is: AssistantUI });
+   Object.assign(element, props);
+   document.body.appendChild(element);
+   await flushPromises();
+   return element;
+}
+
+async function sendMessage(element, text) {
+   const input = element.shadowRoot.querySelector('.input-box');
+   input.value = text;
+   input.dispatchEvent(new CustomEvent('input'));
+   input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+   await flushPromises();
+}
+
+// Ask a question and let the streamed answer complete
+async function answerWith(element, content, extra = {}) {
+   startChatResponse.mockResolvedValue(REQUEST_ID);
+   pollChatResponse.mockResolvedValue({ status: 'complete', content, steps: [], suggestions: [], ...extra });
+   await sendMessage(element, 'How do I reset my password?');
+   await runTimers();
+}
+
+// The rendered answer without the style scoping attributes synthetic shadow adds to manual DOM
+function answerHtml(element, messageId = REQUEST_ID) {
+   const container = element.shadowRoot.querySelector(`.message-with-links[data-message-id="${messageId}"]`);
+   return container ? container.innerHTML.replace(/ lwc-[\w-]+=""/g, '') : null;
+}
+
+function systemMessages(element) {
+   return Array.from(element.shadowRoot.querySelectorAll('.bubble-system lightning-formatted-rich-text')).map(text => text.value);
+}
+
+function feedbackButton(element, feedback) {
+   return element.shadowRoot.querySelector(`lightning-button-icon[data-feedback="${feedback}"]`);
+}
+
+function buttonLabelled(element, label) {
+   return Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(button => button.label === label);
+}
+
+function listenForToasts(element) {
+   const toasts = [];
+   element.addEventListener('lightning__showtoast', event => toasts.push(event.detail));
+   return toasts;
+}
+
+describe('c-assistant-ui', () => {
+   beforeEach(() => {
+       jest.useFakeTimers();
+       jest.spyOn(console, 'error').mockImplementation(() => {});
+       generateConversationId.mockResolvedValue(CONVERSATION_ID);
+       getAssistantProfile.mockResolvedValue(null);
+       getQuotaStatus.mockResolvedValue(null);
+       saveChatMessage.mockResolvedValue();
+       cancelChatResponse.mockResolvedValue();
+       resolveCitations.mockResolvedValue({});
+       getUtilityInfo.mockResolvedValue({ utilityLabel: 'Assistant', utilityVisible: true });
+       onUtilityClick.mockResolvedValue();
+       setUtilityHighlighted.mockResolvedValue();
+       setUtilityLabel.mockResolvedValue();
+   });
+
+   afterEach(() => {
+       while (document.body.firstChild) {
+           document.body.removeChild(document.body.firstChild);
+       }
+       sessionStorage.clear();
+       jest.resetAllMocks();
+       jest.restoreAllMocks();
+       jest.useRealTimers();
+   });
+
+   describe('message flow', () => {
+       it('sends the question and renders the streamed answer as Markdown', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'Open **Settings** and choose Reset.');
+
+           expect(startChatResponse).toHaveBeenCalledWith(expect.objectContaining({
+               message: 'How do I reset my password?',
+               conversationId: CONVERSATION_ID
+           }));
+           expect(element.shadowRoot.querySelector('.bubble-user lightning-formatted-rich-text').value).toBe('How do I reset my password?');
+           expect(answerHtml(element)).toContain('<strong>Settings</strong>');
+           expect(element.shadowRoot.querySelector('.stop-button')).toBeNull();
+       });
+
+       it('saves both turns to the conversation history', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           expect(saveChatMessage).toHaveBeenCalledWith(expect.objectContaining({ role: 'user', content: 'How do I reset my password?' }));
+           expect(saveChatMessage).toHaveBeenCalledWith(expect.objectContaining({ role: 'assistant', messageKey: REQUEST_ID, content: 'Open Settings.' }));
+       });
+
+       it('escapes HTML typed by the user', async () => {
+           const element = await createComponent();
+           startChatResponse.mockReturnValue(new Promise(() => {}));
+           await sendMessage(element, '<img src=x onerror=alert(1)>');
+
+           expect(element.shadowRoot.querySelector('.bubble-user lightning-formatted-rich-text').value).toBe('&lt;img src=x onerror=alert(1)&gt;');
+       });
+
+       it('shows follow-up questions from the service as chips', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.', { suggestions: ['What if I forgot my username?'] });
+
+           const chips = element.shadowRoot.querySelectorAll('.suggestion-chip');
+           expect(chips).toHaveLength(1);
+           expect(chips[0].textContent).toBe('What if I forgot my username?');
+       });
+
+       it('tells the user which values were masked before sending', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'I updated the address on file.', { redactions: [{ label: 'Email address', count: 1 }] });
+
+           const notice = element.shadowRoot.querySelector('.bubble-user .redaction-notice');
+           expect(notice.textContent).toContain(formatLabel(LABELS.redactedNotice, 'Email address (1)'));
+           expect(notice.title).toBe(LABELS.redactedHint);
+       });
+
+       it('links resolved article references and opens the article', async () => {
+           resolveCitations.mockResolvedValue({
+               'article|000005262': { recordId: 'ka0000000000001AAA', type: 'article', ref: '000005262', title: 'Reset your password' }
+           });
+           const element = await createComponent();
+           await answerWith(element, 'See (Article 000005262).');
+
+           expect(resolveCitations).toHaveBeenCalledWith({
+               queries: [expect.objectContaining({ key: 'article', type: 'article', refs: ['000005262'] })]
+           });
+           const link = element.shadowRoot.querySelector('.citation-link');
+           expect(link.getAttribute('href')).toBe('/s/detail/ka0000000000001AAA');
+           expect(getGenerateUrlCalledWith()).toEqual({ type: 'standard__recordPage', attributes: { recordId: 'ka0000000000001AAA', actionName: 'view' } });
+
+           link.click();
+           expect(getNavigateCalledWith()).toEqual(expect.objectContaining({ type: 'standard__knowledgeArticlePage' }));
+       });
+
+       it('keeps the partial answer when the response is stopped', async () => {
+           startChatResponse.mockResolvedValue(REQUEST_ID);
+           pollChatResponse.mockResolvedValue({ status: 'streaming', content: 'Open Settings and then choose Reset.', steps: [] });
+           const element = await createComponent();
+           await sendMessage(element, 'How do I reset my password?');
+
+           jest.advanceTimersByTime(750); // first poll
+           await flushPromises();
+           jest.advanceTimersByTime(40); // first reveal
+           await flushPromises();
+
+           element.shadowRoot.querySelector('.stop-button').click();
+           await runTimers();
+
+           expect(cancelChatResponse).toHaveBeenCalledWith({ requestId: REQUEST_ID });
+           expect(answerHtml(element)).toContain('Open Settings');
+           expect(systemMessages(element)).toContain(LABELS.responseStopped);
+       });
+   });
+
+   describe('error paths', () => {
+       it('shows an error bubble with a retry button when the request is rejected', async () => {
+           startChatResponse.mockRejectedValue(apexError('AUTH_FAILED'));
+           const element = await createComponent();
+           const toasts = listenForToasts(element);
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           const errorBubble = element.shadowRoot.querySelector('.bubble-error');
+           expect(errorBubble.querySelector('.message-with-links').innerHTML).toContain(LABELS.errorAuthFailed);
+           expect(buttonLabelled(element, LABELS.retry)).toBeTruthy();
+           expect(toasts).toEqual([expect.objectContaining({ variant: 'error', message: 'AUTH_FAILED from Apex' })]);
+           expect(saveChatMessage).not.toHaveBeenCalledWith(expect.objectContaining({ role: 'assistant' }));
+       });
+
+       it('retries transient failures before bothering the user', async () => {
+           startChatResponse.mockRejectedValueOnce(apexError('SERVICE_UNAVAILABLE', true)).mockResolvedValue(REQUEST_ID);
+           pollChatResponse.mockResolvedValue({ status: 'complete', content: 'Open Settings.', steps: [] });
+           const element = await createComponent();
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           expect(startChatResponse).toHaveBeenCalledTimes(2);
+           const [first, retry] = startChatResponse.mock.calls.map(([params]) => params.requestKey);
+           expect(retry).toBe(first);
+           expect(element.shadowRoot.querySelector('.bubble-error')).toBeNull();
+           expect(answerHtml(element)).toContain('Open Settings.');
+       });
+
+       it('gives up after the automatic retries and keeps the question in the outbox', async () => {
+           startChatResponse.mockRejectedValue(apexError('TIMEOUT', true));
+           const element = await createComponent();
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           expect(startChatResponse).toHaveBeenCalledTimes(3);
+           expect(element.shadowRoot.querySelector('.bubble-error')).toBeNull();
+           expect(element.shadowRoot.querySelector('.bubble-user .outbox-notice').textContent)
+               .toBe(formatLabel(LABELS.messageNotSent, LABELS.errorTimeout));
+           const outbox = JSON.parse(sessionStorage.getItem('assistantUI.outbox.Default'));
+           expect(outbox[CONVERSATION_ID]).toEqual([expect.objectContaining({ message: 'How do I reset my password?', status: 'failed' })]);
+       });
+
+       it('shows the error reported by the stream', async () => {
+           startChatResponse.mockResolvedValue(REQUEST_ID);
+           pollChatResponse.mockResolvedValue({ status: 'error', errorCode: 'REQUEST_TOO_LARGE', message: 'Too large', retryable: false });
+           const element = await createComponent();
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           expect(element.shadowRoot.querySelector('.bubble-error .message-with-links').innerHTML).toContain(LABELS.errorRequestTooLarge);
+       });
+
+       it('explains a quota error and waits out the cooldown instead of showing a toast', async () => {
+           startChatResponse.mockRejectedValue(apexError('QUOTA_MINUTE', false, { retryAfterSeconds: 45 }));
+           const element = await createComponent();
+           const toasts = listenForToasts(element);
+           await sendMessage(element, 'How do I reset my password?');
+
+           expect(element.shadowRoot.querySelector('.bubble-error .message-with-links').innerHTML).toContain(LABELS.errorQuotaMinute);
+           expect(element.shadowRoot.querySelector('.quota-status').textContent).toBe(formatLabel(LABELS.quotaCooldown, 45));
+           expect(buttonLabelled(element, LABELS.retry).disabled).toBe(true);
+           expect(toasts).toEqual([]);
+       });
+
+       it('treats an expired stream as a failure', async () => {
+           startChatResponse.mockResolvedValue(REQUEST_ID);
+           pollChatResponse.mockResolvedValue({ status: 'expired', steps: [], content: '' });
+           const element = await createComponent();
+           const toasts = listenForToasts(element);
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           expect(element.shadowRoot.querySelector('.bubble-error')).not.toBeNull();
+           expect(toasts[0].message).toBe(LABELS.responseExpired);
+       });
+   });
+
+   describe('outbox', () => {
+       function goOffline() {
+           return jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+       }
+
+       it('queues questions while offline and sends them in order once back online', async () => {
+           const onLine = goOffline();
+           const element = await createComponent();
+           await sendMessage(element, 'First question');
+           await sendMessage(element, 'Second question');
+
+           expect(startChatResponse).not.toHaveBeenCalled();
+           expect(saveChatMessage).not.toHaveBeenCalled();
+           const notices = element.shadowRoot.querySelectorAll('.bubble-user .outbox-notice');
+           expect(Array.from(notices).map(notice => notice.textContent)).toEqual([LABELS.messageQueued, LABELS.messageQueued]);
+
+           onLine.mockReturnValue(true);
+           startChatResponse.mockResolvedValueOnce('reqFirst').mockResolvedValueOnce('reqSecond');
+           pollChatResponse.mockResolvedValue({ status: 'complete', content: 'Answered.', steps: [], suggestions: [] });
+           window.dispatchEvent(new CustomEvent('online'));
+           await runTimers();
+
+           expect(startChatResponse.mock.calls.map(([params]) => params.message)).toEqual(['First question', 'Second question']);
+           expect(element.shadowRoot.querySelector('.outbox-status')).toBeNull();
+           expect(sessionStorage.getItem('assistantUI.outbox.Default')).toBe('{}');
+       });
+
+       it('sends a failed question again with one click', async () => {
+           startChatResponse.mockRejectedValue(apexError('SERVICE_UNAVAILABLE', true));
+           const element = await createComponent();
+           await sendMessage(element, 'How do I reset my password?');
+           await runTimers();
+
+           startChatResponse.mockResolvedValue(REQUEST_ID);
+           pollChatResponse.mockResolvedValue({ status: 'complete', content: 'Open Settings.', steps: [], suggestions: [] });
+           element.shadowRoot.querySelector('.outbox-retry').click();
+           await runTimers();
+
+           expect(answerHtml(element)).toContain('Open Settings.');
+           expect(element.shadowRoot.querySelectorAll('.bubble-user')).toHaveLength(1);
+           expect(element.shadowRoot.querySelector('.outbox-status')).toBeNull();
+       });
+
+       it('restores and sends questions queued before a reload', async () => {
+           sessionStorage.setItem('assistantUI.conversationId.Default', CONVERSATION_ID);
+           sessionStorage.setItem('assistantUI.outbox.Default', JSON.stringify({
+               [CONVERSATION_ID]: [{ id: 1700000000000.5, message: 'Queued question', attachments: [], status: 'pending', persisted: false }]
+           }));
+           getConversationMessages.mockResolvedValue([]);
+           startChatResponse.mockReturnValue(new Promise(() => {}));
+           const element = await createComponent();
+
+           expect(element.shadowRoot.querySelector('.bubble-user lightning-formatted-rich-text').value).toBe('Queued question');
+           expect(startChatResponse).toHaveBeenCalledWith(expect.objectContaining({ message: 'Queued question' }));
+           expect(saveChatMessage).toHaveBeenCalledWith(expect.objectContaining({ role: 'user', content: 'Queued question' }));
+       });
+
+       it('sends a question queued in a shared outbox from one instance only', async () => {
+           sessionStorage.setItem('assistantUI.conversationId.Default', CONVERSATION_ID);
+           sessionStorage.setItem('assistantUI.outbox.Default', JSON.stringify({
+               [CONVERSATION_ID]: [{ id: 1700000000000.5, message: 'Queued question', attachments: [], status: 'failed', persisted: true }]
+           }));
+           getConversationMessages.mockResolvedValue([]);
+           startChatResponse.mockReturnValue(new Promise(() => {}));
+           const utilityItem = await createComponent();
+           const page = await createComponent();
+
+           window.dispatchEvent(new CustomEvent('online'));
+           await flushPromises();
+
+           expect(startChatResponse).toHaveBeenCalledTimes(1);
+           const [entry] = JSON.parse(sessionStorage.getItem('assistantUI.outbox.Default'))[CONVERSATION_ID];
+           expect(entry.status).toBe('sending');
+
+           // The other instance reloading meanwhile leaves the question to the one sending it
+           document.body.removeChild(page);
+           await createComponent();
+           expect(JSON.parse(sessionStorage.getItem('assistantUI.outbox.Default'))[CONVERSATION_ID][0].status).toBe('sending');
+
+           // The sending instance going away hands it back to the user
+           document.body.removeChild(utilityItem);
+           expect(JSON.parse(sessionStorage.getItem('assistantUI.outbox.Default'))[CONVERSATION_ID][0].status).toBe('failed');
+       });
+   });
+
+   describe('assistant profiles', () => {
+       it('resumes and lists only the conversations of its own assistant profile', async () => {
+           sessionStorage.setItem('assistantUI.conversationId.Default', 'conv_default');
+           generateConversationId.mockResolvedValue('conv_claims');
+           getConversationHistory.mockResolvedValue([]);
+           const element = await createComponent({ assistantProfile: 'Claims' });
+
+           expect(getConversationMessages).not.toHaveBeenCalled();
+           expect(sessionStorage.getItem('assistantUI.conversationId.Claims')).toBe('conv_claims');
+
+           element.shadowRoot.querySelector('.history-button').click();
+           await flushPromises();
+
+           expect(getConversationHistory).toHaveBeenCalledWith({ profileName: 'Claims' });
+       });
+   });
+
+   describe('message quota', () => {
+       it('shows the messages left today and limits the message length', async () => {
+           getQuotaStatus.mockResolvedValue({
+               maxMessageLength: 2000, messagesPerMinute: 10, messagesPerDay: 20, remainingThisMinute: 10, remainingToday: 3, retryAfterSeconds: 0
+           });
+           const element = await createComponent();
+
+           expect(element.shadowRoot.querySelector('.quota-status').textContent).toBe(formatLabel(LABELS.quotaRemaining, 3, 20));
+           expect(element.shadowRoot.querySelector('.input-box').maxLength).toBe(2000);
+       });
+
+       it('updates the quota from the stream and blocks sending once it is used up', async () => {
+           getQuotaStatus.mockResolvedValue({ messagesPerDay: 20, remainingToday: 1, retryAfterSeconds: 0 });
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.', { quota: { messagesPerDay: 20, remainingToday: 0, retryAfterSeconds: 3600 } });
+
+           expect(element.shadowRoot.querySelector('.quota-status').textContent).toBe(LABELS.quotaDayReached);
+           const input = element.shadowRoot.querySelector('.input-box');
+           input.value = 'One more question';
+           input.dispatchEvent(new CustomEvent('input'));
+           await flushPromises();
+           expect(element.shadowRoot.querySelector('.send-button').disabled).toBe(true);
+       });
+   });
+
+   describe('feedback', () => {
+       it('opens the matching editor for each thumb', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           expect(element.shadowRoot.querySelector('.bubble-feedback-input')).not.toBeNull();
+           expect(element.shadowRoot.querySelector('.feedback-reasons')).toBeNull();
+
+           feedbackButton(element, 'negative').click();
+           await flushPromises();
+           expect(element.shadowRoot.querySelector('.feedback-reasons')).not.toBeNull();
+           expect(element.shadowRoot.querySelector('.feedback-correct-answer')).not.toBeNull();
+
+           element.shadowRoot.querySelector('.cancel-bubble-feedback').click();
+           await flushPromises();
+           expect(element.shadowRoot.querySelector('.bubble-feedback-input')).toBeNull();
+       });
+
+       it('sends negative feedback with reasons and marks the thumb', async () => {
+           submitChatFeedback.mockResolvedValue({ success: true, status: 'ok', user_feedback: 'negative' });
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'negative').click();
+           await flushPromises();
+           element.shadowRoot.querySelector('.feedback-reasons').dispatchEvent(new CustomEvent('change', { detail: { value: ['inaccurate'] } }));
+           const comment = element.shadowRoot.querySelector('textarea[data-field="feedbackComment"]');
+           comment.value = 'Wrong menu';
+           comment.dispatchEvent(new CustomEvent('input'));
+           const correctAnswer = element.shadowRoot.querySelector('.feedback-correct-answer');
+           correctAnswer.value = 'Use the Profile page';
+           correctAnswer.dispatchEvent(new CustomEvent('input'));
+           await flushPromises();
+
+           buttonLabelled(element, LABELS.submit).click();
+           await flushPromises();
+
+           expect(submitChatFeedback).toHaveBeenCalledWith({
+               messageId: REQUEST_ID,
+               userFeedback: 'negative',
+               conversationId: CONVERSATION_ID,
+               comment: 'Wrong menu',
+               reasons: ['inaccurate'],
+               correctAnswer: 'Use the Profile page'
+           });
+           expect(element.shadowRoot.querySelector('.bubble-feedback-input')).toBeNull();
+           expect(feedbackButton(element, 'negative').variant).toBe('brand');
+           expect(feedbackButton(element, 'negative').alternativeText).toBe(LABELS.dislikeSelected);
+           expect(feedbackButton(element, 'positive').variant).toBe('border');
+       });
+
+       it('retracts saved feedback', async () => {
+           submitChatFeedback.mockResolvedValue({ success: true, status: 'ok', user_feedback: 'positive' });
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.submit).click();
+           await flushPromises();
+           expect(feedbackButton(element, 'positive').variant).toBe('brand');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.removeFeedback).click();
+           await flushPromises();
+
+           expect(submitChatFeedback).toHaveBeenLastCalledWith(expect.objectContaining({ userFeedback: 'retracted', reasons: [] }));
+           expect(feedbackButton(element, 'positive').variant).toBe('border');
+       });
+
+       it('tells the user when feedback is queued for later', async () => {
+           submitChatFeedback.mockResolvedValue({ success: true, status: 'queued', user_feedback: 'positive' });
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.submit).click();
+           await flushPromises();
+
+           expect(systemMessages(element).some(text => text.includes(LABELS.feedbackQueued))).toBe(true);
+           expect(feedbackButton(element, 'positive').variant).toBe('brand');
+       });
+
+       it('leaves the thumbs as they were when the service rejects the feedback', async () => {
+           submitChatFeedback.mockResolvedValue({ success: false, errorCode: 'BAD_REQUEST', message: 'Unsupported feedback' });
+           const element = await createComponent();
+           const toasts = listenForToasts(element);
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.submit).click();
+           await flushPromises();
+
+           expect(feedbackButton(element, 'positive').variant).toBe('border');
+           expect(toasts).toEqual([expect.objectContaining({ variant: 'error', message: LABELS.errorBadRequest })]);
+       });
+
+       it('reports feedback that could not reach Apex', async () => {
+           submitChatFeedback.mockRejectedValue({ body: { message: 'Network error' } });
+           const element = await createComponent();
+           await answerWith(element, 'Open Settings.');
+
+           feedbackButton(element, 'positive').click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.submit).click();
+           await flushPromises();
+
+           expect(feedbackButton(element, 'positive').variant).toBe('border');
+           expect(systemMessages(element).some(text => text.includes(formatLabel(LABELS.feedbackSendError, 'Network error')))).toBe(true);
+       });
+   });
+
+   describe('utility bar and docked layout', () => {
+       it('highlights the utility item while replies wait in a minimized panel', async () => {
+           const element = await createComponent();
+           EnclosingUtilityId.emit('utility-1');
+           await flushPromises();
+           const handleUtilityClick = onUtilityClick.mock.calls[0][1];
+
+           expect(element.shadowRoot.querySelector('.chat-wrapper').classList).toContain('chat-wrapper_compact');
+
+           handleUtilityClick({ panelVisible: false });
+           await answerWith(element, 'Open Settings.');
+
+           expect(setUtilityHighlighted).toHaveBeenCalledWith('utility-1', { highlighted: true });
+           expect(setUtilityLabel).toHaveBeenCalledWith('utility-1', formatLabel(LABELS.unreadUtilityLabel, 'Assistant', 1));
+
+           handleUtilityClick({ panelVisible: true });
+           await flushPromises();
+
+           expect(setUtilityHighlighted).toHaveBeenLastCalledWith('utility-1', { highlighted: false });
+           expect(setUtilityLabel).toHaveBeenLastCalledWith('utility-1', 'Assistant');
+       });
+
+       it('keeps the conversation while docked and minimized, and counts unread replies', async () => {
+           const element = await createComponent({ displayMode: 'Docked' });
+           const wrapper = element.shadowRoot.querySelector('.chat-wrapper');
+
+           element.shadowRoot.querySelector('.minimize-button').click();
+           await flushPromises();
+
+           expect(wrapper.classList).toContain('chat-wrapper_minimized');
+           expect(element.shadowRoot.querySelector('.unread-badge')).toBeNull();
+
+           await answerWith(element, 'Open **Settings**.');
+
+           expect(element.shadowRoot.querySelector('.unread-badge').textContent).toBe('1');
+           expect(answerHtml(element)).toContain('<strong>Settings</strong>');
+
+           element.shadowRoot.querySelector('.assistant-launcher').click();
+           await flushPromises();
+
+           expect(wrapper.classList).not.toContain('chat-wrapper_minimized');
+           expect(element.shadowRoot.querySelector('.assistant-launcher')).toBeNull();
+           expect(setUtilityHighlighted).not.toHaveBeenCalled();
+       });
+   });
+
+   describe('transcript export', () => {
+       it('downloads the transcript through a Blob URL link in the template', async () => {
+           URL.createObjectURL = jest.fn(() => 'blob:transcript-1');
+           URL.revokeObjectURL = jest.fn();
+           const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+           const element = await createComponent();
+           try {
+               await answerWith(element, 'Open Settings.');
+
+               element.shadowRoot.querySelector('.export-menu').dispatchEvent(new CustomEvent('select', { detail: { value: 'markdown' } }));
+               await flushPromises();
+
+               const link = element.shadowRoot.querySelector('.download-link');
+               expect(link.getAttribute('href')).toBe('blob:transcript-1');
+               expect(link.getAttribute('download').endsWith(`-${CONVERSATION_ID}.md`)).toBe(true);
+               expect(click.mock.instances).toEqual([link]);
+               expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/markdown;charset=utf-8');
+               expect(document.body.querySelector('a[download]')).toBeNull();
+
+               document.body.removeChild(element);
+               expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:transcript-1');
+           } finally {
+               delete URL.createObjectURL;
+               delete URL.revokeObjectURL;
+           }
+       });
+   });
+
+   describe('theming', () => {
+       it('applies App Builder branding over the assistant profile', async () => {
+           getAssistantProfile.mockResolvedValue({
+               assistantName: 'Profile Assistant',
+               welcomeMessage: 'Welcome from the profile',
+               iconName: 'utility:einstein',
+               brandColor: '#0b5cab'
+           });
+           const element = await createComponent({
+               brandName: 'Claims Helper',
+               avatarUrl: '/resource/ClaimsAvatar',
+               userBubbleColor: '#ffcc00',
+               assistantBubbleColor: 'rgb(20, 30, 60)',
+               welcomeMessage: 'Ask me about a claim',
+               inputPlaceholder: 'Type a claim number',
+               height: 480,
+               density: 'Compact',
+               colorScheme: 'Dark'
+           });
+           const wrapper = element.shadowRoot.querySelector('.chat-wrapper');
+           const style = wrapper.getAttribute('style');
+
+           expect(element.shadowRoot.querySelector('.slds-chat_header h2').textContent).toBe('Claims Helper');
+           expect(element.shadowRoot.querySelector('.assistant-avatar').getAttribute('src')).toBe('/resource/ClaimsAvatar');
+           expect(element.shadowRoot.querySelector('.slds-chat_header lightning-icon')).toBeNull();
+           expect(element.shadowRoot.querySelector('.welcome-message').textContent).toBe('Ask me about a claim');
+           expect(element.shadowRoot.querySelector('.input-box').getAttribute('placeholder')).toBe('Type a claim number');
+           expect(style).toContain('height:480px;');
+           expect(style).toContain('--assistant-brand-color:#0b5cab;');
+           expect(style).toContain('--bubble-user-bg:#ffcc00;--bubble-user-text:#181818;');
+           expect(style).toContain('--bubble-ai-bg:rgb(20, 30, 60);--bubble-ai-text:#fff;');
+           expect(wrapper.classList).toContain('chat-wrapper_dense');
+           expect(wrapper.classList).toContain('chat-wrapper_dark');
+       });
+
+       it('ignores values that are not safe to put in markup', async () => {
+           const element = await createComponent({
+               avatarUrl: 'javascript:alert(1)',
+               userBubbleColor: 'red;background:url(x)',
+               height: '100px;position:fixed'
+           });
+           const style = element.shadowRoot.querySelector('.chat-wrapper').getAttribute('style');
+
+           expect(element.shadowRoot.querySelector('.assistant-avatar')).toBeNull();
+           expect(element.shadowRoot.querySelector('.aria-logo')).not.toBeNull();
+           expect(style).toContain('height:600px;');
+           expect(style).not.toContain('url(');
+           expect(element.shadowRoot.querySelector('.input-box').getAttribute('placeholder')).toBe(LABELS.inputPlaceholder);
+       });
+
+       it('follows the operating system in the Auto colour scheme', async () => {
+           const query = { matches: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+           window.matchMedia = jest.fn(() => query);
+           try {
+               const element = await createComponent({ colorScheme: 'Auto' });
+               const wrapper = element.shadowRoot.querySelector('.chat-wrapper');
+
+               expect(wrapper.classList).not.toContain('chat-wrapper_dark');
+
+               query.addEventListener.mock.calls[0][1]({ matches: true });
+               await flushPromises();
+
+               expect(wrapper.classList).toContain('chat-wrapper_dark');
+           } finally {
+               delete window.matchMedia;
+           }
+       });
+   });
+
+   describe('attachments', () => {
+       const UPLOADED = {
+           contentVersionId: '068000000000001AAA',
+           contentDocumentId: '069000000000001AAA',
+           title: 'error.log',
+           fileExtension: 'log',
+           size: 5,
+           isImage: false
+       };
+
+       async function attachFile(element) {
+           const input = element.shadowRoot.querySelector('.file-input');
+           Object.defineProperty(input, 'files', { value: [new File(['oops!'], 'error.log', { type: 'text/plain' })] });
+           input.dispatchEvent(new CustomEvent('change'));
+           // jsdom's FileReader reads on real setImmediate turns, which the fake timers do not cover
+           for (let i = 0; i < 5; i++) {
+               await new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+           }
+           await flushPromises();
+       }
+
+       beforeEach(() => {
+           uploadChatAttachment.mockResolvedValue(UPLOADED);
+           discardChatAttachment.mockResolvedValue();
+       });
+
+       it('deletes an upload the user removes before sending it', async () => {
+           const element = await createComponent({ recordId: '500000000000001AAA' });
+           await attachFile(element);
+
+           expect(uploadChatAttachment).toHaveBeenCalledWith({ fileName: 'error.log', base64Data: btoa('oops!') });
+
+           element.shadowRoot.querySelector('lightning-pill').dispatchEvent(new CustomEvent('remove'));
+           await flushPromises();
+
+           expect(discardChatAttachment).toHaveBeenCalledWith({ contentVersionId: UPLOADED.contentVersionId });
+           expect(element.shadowRoot.querySelector('lightning-pill')).toBeNull();
+       });
+
+       it('keeps an upload that was sent', async () => {
+           const element = await createComponent();
+           await attachFile(element);
+           await answerWith(element, 'The log shows a timeout.');
+
+           expect(startChatResponse).toHaveBeenCalledWith(expect.objectContaining({ attachmentIds: [UPLOADED.contentVersionId] }));
+           document.body.removeChild(element);
+           expect(discardChatAttachment).not.toHaveBeenCalled();
+       });
+   });
+
+   describe('action cards', () => {
+       it('runs an action only after the user confirms it', async () => {
+           executeAssistantAction.mockResolvedValue({ success: true, type: 'create_record', recordId: '00T000000000001AAA', objectApiName: 'Task' });
+           const element = await createComponent();
+           await answerWith(element, 'I can log a follow-up.', { actions: [TASK_ACTION] });
+
+           expect(element.shadowRoot.querySelector('.action-card__title').textContent).toBe('Create follow-up task');
+           expect(element.shadowRoot.querySelector('.action-card__fields dd').textContent).toBe('Call back');
+
+           buttonLabelled(element, formatLabel(LABELS.actionCreate, 'Task')).click();
+           await flushPromises();
+
+           expect(executeAssistantAction).not.toHaveBeenCalled();
+           expect(element.shadowRoot.querySelector('.action-card__prompt').textContent).toBe(LABELS.actionConfirmPrompt);
+
+           buttonLabelled(element, LABELS.actionConfirm).click();
+           await flushPromises();
+
+           expect(executeAssistantAction).toHaveBeenCalledWith({
+               conversationId: CONVERSATION_ID,
+               messageKey: REQUEST_ID,
+               actionId: TASK_ACTION.id
+           });
+           expect(element.shadowRoot.querySelector('.action-card__status_done')).not.toBeNull();
+
+           buttonLabelled(element, LABELS.viewRecord).click();
+           expect(getNavigateCalledWith().attributes.recordId).toBe('00T000000000001AAA');
+       });
+
+       it('goes back to the proposal when the user cancels', async () => {
+           const element = await createComponent();
+           await answerWith(element, 'I can log a follow-up.', { actions: [TASK_ACTION] });
+
+           buttonLabelled(element, formatLabel(LABELS.actionCreate, 'Task')).click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.cancel).click();
+           await flushPromises();
+
+           expect(executeAssistantAction).not.toHaveBeenCalled();
+           expect(buttonLabelled(element, formatLabel(LABELS.actionCreate, 'Task'))).toBeDefined();
+       });
+
+       it('shows why an action was refused', async () => {
+           executeAssistantAction.mockResolvedValue({ success: false, errorCode: 'ACCESS_DENIED', message: 'You do not have permission to create Tasks.' });
+           const element = await createComponent();
+           await answerWith(element, 'I can log a follow-up.', { actions: [TASK_ACTION] });
+
+           buttonLabelled(element, formatLabel(LABELS.actionCreate, 'Task')).click();
+           await flushPromises();
+           buttonLabelled(element, LABELS.actionConfirm).click();
+           await flushPromises();
+
+           expect(element.shadowRoot.querySelector('.action-card__status_failed').textContent)
+               .toContain(formatLabel(LABELS.actionFailed, 'You do not have permission to create Tasks.'));
+           expect(buttonLabelled(element, LABELS.retry)).toBeDefined();
+       });
+
+       it('opens a record without asking for confirmation', async () => {
+           executeAssistantAction.mockResolvedValue({ success: true, type: 'open_record', recordId: '500000000000001AAA', objectApiName: 'Case' });
+           const element = await createComponent();
+           const openAction = { id: 'action-0', type: 'open_record', objectApiName: 'Case', objectLabel: 'Case', recordId: '500000000000001AAA', fields: {}, summary: [] };
+           await answerWith(element, 'Here is the case.', { actions: [openAction] });
+
+           buttonLabelled(element, LABELS.actionOpen).click();
+           await flushPromises();
+
+           expect(executeAssistantAction).toHaveBeenCalledTimes(1);
+           expect(getNavigateCalledWith().attributes.recordId).toBe('500000000000001AAA');
+       });
+   });
+});
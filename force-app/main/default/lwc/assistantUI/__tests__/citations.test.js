@@ -0,0 +1,133 @@
+import { buildCitationGrammar, extractCitations, hasCitations, linkifyCitations } from '../citations';
+
+const grammar = buildCitationGrammar('');
+
+function refsFor(text, key) {
+   const query = extractCitations(text, grammar).find(q => q.key === key);
+   return query ? query.refs : [];
+}
+
+describe('c-assistant-ui citations', () => {
+   afterEach(() => {
+       jest.restoreAllMocks();
+   });
+
+   describe('article references', () => {
+       // The reference formats the service has used over time; all must keep resolving
+       it.each([
+           ['(Article 000005262)', ['000005262']],
+           ['(Article Numbers: 000005262, 000005218)', ['000005262', '000005218']],
+           ['(Article Number: 000006196)', ['000006196']],
+           ['(Article 000005262, 000005263)', ['000005262', '000005263']],
+           ['Article: 000005262', ['000005262']],
+           ['Article Numbers: 000006196, 000005218', ['000006196', '000005218']],
+           ['Article Number: 000006196', ['000006196']]
+       ])('finds %s', (text, expected) => {
+           expect(refsFor(`See ${text} for details.`, 'article')).toEqual(expected);
+       });
+
+       it('finds KB numbers', () => {
+           expect(refsFor('Try KB 000005262 first.', 'article')).toEqual(['000005262']);
+       });
+
+       it('lists each article once', () => {
+           expect(refsFor('Article 000005262 and again (Article 000005262)', 'article')).toEqual(['000005262']);
+       });
+
+       it('ignores numbers that are too short', () => {
+           expect(hasCitations('Article 12345', grammar)).toBe(false);
+       });
+   });
+
+   describe('other built-in rules', () => {
+       it('finds case numbers and record IDs', () => {
+           const text = 'Linked to Case 00001234 and Record: 500000000000001AAA.';
+           expect(refsFor(text, 'case')).toEqual(['00001234']);
+           expect(refsFor(text, 'record')).toEqual(['500000000000001AAA']);
+       });
+
+       it('finds article URL names in link targets', () => {
+           expect(refsFor('Read [this](https://org.my.site.com/s/articles/Knowledge/reset-password).', 'url')).toEqual(['reset-password']);
+       });
+   });
+
+   describe('custom rules', () => {
+       it('adds admin-defined rules with their object and field', () => {
+           const custom = buildCitationGrammar(JSON.stringify([
+               { label: 'Order', pattern: 'Order\\s+#(\\d{8})', objectApiName: 'Order', field: 'OrderNumber' }
+           ]));
+           const query = extractCitations('Order #00000100 shipped.', custom).find(q => q.type === 'custom');
+
+           expect(query).toEqual({ key: 'custom-0', type: 'custom', refs: ['00000100'], objectApiName: 'Order', field: 'OrderNumber' });
+       });
+
+       it('skips invalid JSON and incomplete or invalid rules', () => {
+           jest.spyOn(console, 'error').mockImplementation(() => {});
+
+           expect(buildCitationGrammar('not json')).toHaveLength(grammar.length);
+           expect(buildCitationGrammar(JSON.stringify([
+               { pattern: 'Order (\\d+)' },
+               { pattern: '(', objectApiName: 'Order', field: 'OrderNumber' }
+           ]))).toHaveLength(grammar.length);
+       });
+
+       it('skips rules without a capture group for the reference', () => {
+           jest.spyOn(console, 'error').mockImplementation(() => {});
+           const custom = buildCitationGrammar(JSON.stringify([
+               { pattern: 'Order\\s+#\\d{8}', objectApiName: 'Order', field: 'OrderNumber' }
+           ]));
+
+           expect(custom).toHaveLength(grammar.length);
+           expect(() => extractCitations('Order #00000100 shipped.', custom)).not.toThrow();
+       });
+
+       it('stops on rules that can match an empty string', () => {
+           const custom = buildCitationGrammar(JSON.stringify([
+               { pattern: '#(\\d*)', objectApiName: 'Order', field: 'OrderNumber' },
+               { pattern: '(\\d*)', objectApiName: 'Order', field: 'OrderNumber' }
+           ]));
+           const queries = extractCitations('Order #00000100 shipped.', custom).filter(q => q.type === 'custom');
+           const html = linkifyCitations('<p>Order #00000100 shipped.</p>', custom, {
+               'custom-0|00000100': { recordId: '801000000000001AAA', title: 'Order 00000100' }
+           });
+
+           expect(queries.map(q => q.refs)).toEqual([['00000100'], ['00000100']]);
+           expect(html).toContain('data-citation-key="custom-0|00000100"');
+       });
+   });
+
+   describe('linkifyCitations', () => {
+       const resolved = {
+           'article|000005262': { recordId: 'ka0000000000001AAA', url: '/s/detail/ka0000000000001AAA', title: 'Reset your password' },
+           'url|reset-password': { recordId: 'ka0000000000002AAA', url: '/s/detail/ka0000000000002AAA', title: 'Reset password' }
+       };
+
+       it('links only the resolved references, keeping the surrounding text', () => {
+           const html = linkifyCitations('<p>(Article Numbers: 000005262, 000005218)</p>', grammar, resolved);
+           const link = new DOMParser().parseFromString(html, 'text/html').querySelector('a');
+
+           expect(html).toContain('000005218');
+           expect(html.match(/<a /g)).toHaveLength(1);
+           expect(link.textContent).toBe('000005262');
+           expect(link.getAttribute('href')).toBe('/s/detail/ka0000000000001AAA');
+           expect(link.dataset.citationKey).toBe('article|000005262');
+           expect(link.getAttribute('aria-label')).toBe('000005262: Reset your password');
+       });
+
+       it('decorates links whose target matches an href rule', () => {
+           const html = linkifyCitations('<p><a href="https://org.my.site.com/s/articles/reset-password">guide</a></p>', grammar, resolved);
+
+           expect(html).toContain('data-citation-key="url|reset-password"');
+       });
+
+       it('leaves references inside code alone', () => {
+           const html = '<p><code>Article 000005262</code></p>';
+           expect(linkifyCitations(html, grammar, resolved)).toBe(html);
+       });
+
+       it('returns the HTML unchanged when nothing was resolved', () => {
+           const html = '<p>Article 000005262</p>';
+           expect(linkifyCitations(html, grammar, {})).toBe(html);
+       });
+   });
+});
@@ -0,0 +1,73 @@
+import { escapeHtml, renderMarkdown, sanitizeHtml } from '../markdown';
+
+describe('c-assistant-ui markdown', () => {
+   describe('renderMarkdown', () => {
+       it('renders headings, emphasis, lists and tables', () => {
+           const html = renderMarkdown('# Title\nUse **bold** and *italic*.\n\n- one\n- two\n\n| A | B |\n|---|---:|\n| 1 | 2 |');
+
+           expect(html).toContain('<h1>Title</h1>');
+           expect(html).toContain('<strong>bold</strong>');
+           expect(html).toContain('<em>italic</em>');
+           expect(html).toContain('<ul><li>one</li><li>two</li></ul>');
+           expect(html).toContain('<th class="align-right">B</th>');
+       });
+
+       it('escapes HTML in the source text', () => {
+           const html = renderMarkdown('<img src=x onerror=alert(1)> & <script>alert(1)</script>');
+
+           expect(html).not.toContain('<img');
+           expect(html).not.toContain('<script');
+           expect(html).toContain('&lt;img src=x onerror=alert(1)&gt; &amp; &lt;script&gt;');
+       });
+
+       it('escapes code blocks and adds a copy button', () => {
+           const html = renderMarkdown('```html\n<b>"hi"</b>\n```');
+
+           expect(html).toContain('<code class="language-html">&lt;b&gt;&quot;hi&quot;&lt;/b&gt;</code>');
+           expect(html).toContain('class="code-copy-button"');
+       });
+
+       it('leaves Markdown inside code spans alone', () => {
+           expect(renderMarkdown('Run `a_b_c **d**`')).toContain('<code class="slds-code_inline">a_b_c **d**</code>');
+       });
+
+       it('opens web links in a new tab and drops unsafe link targets', () => {
+           const html = sanitizeHtml(renderMarkdown('[docs](https://example.com/a?b=1&c=2) and [bad](javascript:alert(1))'));
+
+           expect(html).toContain('<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">docs</a>');
+           expect(html).not.toContain('javascript:');
+       });
+
+       it('returns an empty string for empty input', () => {
+           expect(renderMarkdown('')).toBe('');
+           expect(renderMarkdown(null)).toBe('');
+       });
+   });
+
+   describe('sanitizeHtml', () => {
+       it('drops scripts, event handlers and unknown tags', () => {
+           const html = sanitizeHtml('<p onclick="steal()">hi<script>alert(1)</script><img src=x onerror=alert(1)><iframe>z</iframe><b>bold</b></p>');
+
+           expect(html).toBe('<p>hibold</p>');
+       });
+
+       it('removes unsafe link targets but keeps same-org paths', () => {
+           expect(sanitizeHtml('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+           expect(sanitizeHtml('<a href="//evil.example.com">x</a>')).toBe('<a>x</a>');
+           expect(sanitizeHtml('<a href="/\\evil.example.com">x</a>')).toBe('<a>x</a>');
+           expect(sanitizeHtml('<a href="/&#9;/evil.example.com">x</a>')).toBe('<a>x</a>');
+           expect(sanitizeHtml('<a href="/ka0000000000001AAA">x</a>')).toBe('<a href="/ka0000000000001AAA">x</a>');
+       });
+
+       it('keeps citation link attributes', () => {
+           const link = '<a href="/ka0000000000001AAA" class="citation-link" aria-label="000005262: Reset" data-citation-key="article|000005262" data-citation-type="article">000005262</a>';
+           expect(sanitizeHtml(link)).toBe(link);
+       });
+   });
+
+   describe('escapeHtml', () => {
+       it('escapes every HTML special character', () => {
+           expect(escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+       });
+   });
+});
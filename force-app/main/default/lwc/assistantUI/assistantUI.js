@@ -1,30 +1,324 @@
 
 /* assistantChat.js - Enterprise-Grade Native LWC Chat for Gen AI - Nov 2025 */
-import { LightningElement, api, track } from 'lwc';
+import { LightningElement, api, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { NavigationMixin } from 'lightning/navigation';
-import getChatResponse from '@salesforce/apex/AssistantController.getChatResponse';
+import { EnclosingUtilityId, getUtilityInfo, onUtilityClick, setUtilityHighlighted, setUtilityLabel } from 'lightning/platformUtilityBarApi';
+import startChatResponse from '@salesforce/apex/AssistantController.startChatResponse';
+import pollChatResponse from '@salesforce/apex/AssistantController.pollChatResponse';
+import cancelChatResponse from '@salesforce/apex/AssistantController.cancelChatResponse';
 import submitChatFeedback from '@salesforce/apex/AssistantController.submitChatFeedback';
-import getKnowledgeArticleIds from '@salesforce/apex/AssistantController.getKnowledgeArticleIds';
+import resolveCitations from '@salesforce/apex/AssistantController.resolveCitations';
 import generateConversationId from '@salesforce/apex/AssistantController.generateConversationId';
+import saveChatMessage from '@salesforce/apex/AssistantController.saveChatMessage';
+import truncateConversation from '@salesforce/apex/AssistantController.truncateConversation';
+import getConversationHistory from '@salesforce/apex/AssistantController.getConversationHistory';
+import getConversationMessages from '@salesforce/apex/AssistantController.getConversationMessages';
+import getAssistantProfile from '@salesforce/apex/AssistantController.getAssistantProfile';
+import uploadChatAttachment from '@salesforce/apex/AssistantController.uploadChatAttachment';
+import discardChatAttachment from '@salesforce/apex/AssistantController.discardChatAttachment';
+import getRecordFiles from '@salesforce/apex/AssistantController.getRecordFiles';
+import exportConversationPdf from '@salesforce/apex/AssistantController.exportConversationPdf';
+import logConversationToRecord from '@salesforce/apex/AssistantController.logConversationToRecord';
+import executeAssistantAction from '@salesforce/apex/AssistantController.executeAssistantAction';
+import getQuotaStatus from '@salesforce/apex/AssistantController.getQuotaStatus';
+import { renderMarkdown as renderMarkdownHtml, sanitizeHtml } from './markdown';
+import { buildCitationGrammar, extractCitations, hasCitations, linkifyCitations } from './citations';
+import { extractFollowUps, normalizeSuggestions } from './suggestions';
+import { buildTranscript, markdownToText, toClipboardHtml } from './transcript';
+import { LABELS, formatLabel } from './labels';
 
 const TYPING_INDICATOR_ID = 'typing-bubble-999';
 
+// Survives a page refresh within the tab so the open conversation can be resumed; one per assistant profile
+const CONVERSATION_STORAGE_KEY = 'assistantUI.conversationId';
+const DEFAULT_PROFILE_NAME = 'Default'; // what a blank assistantProfile uses, see AssistantProfile.find
+// Docked layout: whether the panel was minimized, so it stays that way across Experience Cloud page loads
+const MINIMIZED_STORAGE_KEY = 'assistantUI.minimized';
+// Questions that have not reached the service yet, per assistant profile and conversation:
+// { conversationId: [{ id, message, attachments, status, persisted, claimedBy, claimedAt }] }. Instances for the same profile
+// (a utility item and a page, say) share it, so an instance claims a question before sending it.
+const OUTBOX_STORAGE_KEY = 'assistantUI.outbox';
+const OUTBOX_PENDING = 'pending'; // waiting its turn or for the connection
+const OUTBOX_SENDING = 'sending'; // claimed by the instance in claimedBy
+const OUTBOX_FAILED = 'failed';   // gave up; the user retries it, or going back online does
+
+// Display modes for App, Home and Experience Cloud pages; the utility bar always uses the compact layout
+const DISPLAY_MODE_DOCKED = 'Docked';
+
+// Answers arrive whole from the Queueable: how often we poll Apex for the answer, and how fast the bubble "types" it
+// out once it arrives
+const STREAM_POLL_INTERVAL_MS = 750;
+const STREAM_REVEAL_INTERVAL_MS = 40;
+const STREAM_REVEAL_STEP = 12; // characters per reveal tick (rounded up to the next word)
+const STREAM_TIMEOUT_MS = 120000;
+
+// Message quotas (AssistantQuota): show what is left once a quarter of the daily quota remains, and the length
+// counter once a message gets close to the limit
+const QUOTA_LOW_SHARE = 0.25;
+const MESSAGE_LENGTH_WARN_SHARE = 0.9;
+const QUOTA_ERROR_CODES = ['QUOTA_MINUTE', 'QUOTA_DAY', 'MESSAGE_TOO_LONG'];
+
+// Brand colours from profile metadata end up in an inline style, so only plain colour values are accepted
+const SAFE_CSS_COLOR = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|rgba?\([\d\s.,%]+\))$/;
+
+// App Builder theming: the avatar must be a same-origin path or an https URL (the host needs a CSP Trusted Site),
+// and the height a plain length, since both end up in markup
+const SAFE_IMAGE_URL = /^(\/(?!\/)|https:\/\/)[^\s"'()<>\\]+$/;
+const SAFE_CSS_LENGTH = /^\d+(\.\d+)?(px|rem|em|vh|%)$/;
+const DEFAULT_HEIGHT = '600px';
+const DENSITY_COMPACT = 'Compact';
+const COLOR_SCHEME_DARK = 'Dark';
+const COLOR_SCHEME_AUTO = 'Auto'; // follows the operating system setting
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+// Attachments: mirrors the limits AssistantAttachments enforces server-side, so users hear about them early
+const ATTACHMENT_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'txt', 'log', 'csv', 'json', 'xml'];
+const MAX_ATTACHMENTS = 3;
+const MAX_ATTACHMENT_BYTES = 1500000;
+
+// Doctype icons for attachment chips, by file extension
+const ATTACHMENT_ICONS = {
+   pdf: 'doctype:pdf',
+   txt: 'doctype:txt',
+   log: 'doctype:txt',
+   csv: 'doctype:csv',
+   json: 'doctype:unknown',
+   xml: 'doctype:xml'
+};
+
+// Where "Log to record" can save the transcript; Case Comments only apply to cases
+const LOG_TYPE_OPTIONS = [
+   { label: LABELS.logTypeNote, value: 'Note' },
+   { label: LABELS.logTypeTask, value: 'Task' },
+   { label: LABELS.logTypeCaseComment, value: 'CaseComment' }
+];
+const LOG_OBJECT_OPTIONS = [
+   { label: LABELS.objectCase, value: 'Case' },
+   { label: LABELS.objectAccount, value: 'Account' },
+   { label: LABELS.objectContact, value: 'Contact' },
+   { label: LABELS.objectOpportunity, value: 'Opportunity' }
+];
+
+// Structured reasons for negative feedback (Assistant_Message__c.Feedback_Reasons__c values)
+const FEEDBACK_REASON_OPTIONS = [
+   { label: LABELS.reasonInaccurate, value: 'inaccurate' },
+   { label: LABELS.reasonOutdatedArticle, value: 'outdated_article' },
+   { label: LABELS.reasonIncomplete, value: 'incomplete' },
+   { label: LABELS.reasonUnsafe, value: 'unsafe' },
+   { label: LABELS.reasonOther, value: 'other' }
+];
+
+// Bubble state of a closed feedback editor
+const CLOSED_FEEDBACK_EDITOR = {
+   showFeedbackInput: false,
+   feedbackType: null,
+   feedbackTypeText: '',
+   isNegativeFeedback: false,
+   canRetractFeedback: false,
+   feedbackComment: '',
+   feedbackReasons: [],
+   feedbackCorrectAnswer: '',
+   isSubmittingFeedback: false,
+   feedbackPlaceholder: '',
+   feedbackRows: 2
+};
+
+// Bubble state of a user message that is not being edited
+const CLOSED_MESSAGE_EDITOR = {
+   isEditing: false,
+   editText: ''
+};
+
+// What differs between regenerated versions of one answer; the rest of the bubble is shared
+const VERSION_FIELDS = ['id', 'content', 'rawContent', 'createdAt', 'hasArticleLinks', 'steps', 'hasSteps', 'stepsLabel',
+   'feedback', 'likeVariant', 'dislikeVariant', 'likeLabel', 'dislikeLabel', 'actions', 'hasActions'];
+
+// Transient failures (AssistantException retryable codes) are retried after 2s, then 4s
+const MAX_AUTO_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 2000;
+
+// What the failed bubble says for each AssistantException code
+const ERROR_MESSAGES = {
+   AUTH_CONFIG: LABELS.errorAuthConfig,
+   AUTH_FAILED: LABELS.errorAuthFailed,
+   SERVICE_UNAVAILABLE: LABELS.errorServiceUnavailable,
+   TIMEOUT: LABELS.errorTimeout,
+   REQUEST_TOO_LARGE: LABELS.errorRequestTooLarge,
+   BAD_REQUEST: LABELS.errorBadRequest,
+   ATTACHMENT_REJECTED: LABELS.errorAttachmentRejected,
+   QUOTA_MINUTE: LABELS.errorQuotaMinute,
+   QUOTA_DAY: LABELS.errorQuotaDay,
+   MESSAGE_TOO_LONG: LABELS.errorMessageTooLong,
+   UNKNOWN: LABELS.errorUnknown
+};
+
+// Icons for the "How I got this answer" trace, keyed by AssistantResponseParser step kind
+const STEP_ICONS = {
+   tool_call: 'utility:apex',
+   tool_result: 'utility:check',
+   documents: 'utility:knowledge_base',
+   status: 'utility:info',
+   reasoning: 'utility:einstein',
+   other: 'utility:record'
+};
+
+// Action cards, keyed by AssistantActions type
+const ACTION_OPEN_RECORD = 'open_record';
+const ACTION_ICONS = {
+   create_record: 'utility:new',
+   update_record: 'utility:edit',
+   draft_email: 'utility:email',
+   open_record: 'utility:open'
+};
+
+// A bubble colour from App Builder or profile metadata, or null when it is not safe to put in an inline style
+function safeColor(value) {
+   const color = typeof value === 'string' ? value.trim() : '';
+   return color && SAFE_CSS_COLOR.test(color) ? color : null;
+}
+
+// Dark or light text for a bubble colour, by its relative luminance (WCAG); null for named colours, which keep the default
+function readableTextColor(color) {
+   let channels = null;
+   const hex = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})([0-9a-fA-F]{2})?$/.exec(color);
+   if (hex) {
+       const digits = hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+       channels = [0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16));
+   } else {
+       const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(color);
+       channels = rgb ? rgb.slice(1, 4).map(Number) : null;
+   }
+   if (!channels) {
+       return null;
+   }
+   const [red, green, blue] = channels.map(channel => {
+       const value = Math.min(channel, 255) / 255;
+       return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+   });
+   const luminance = 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+   return luminance > 0.179 ? '#181818' : '#fff';
+}
+
+// Apex errors arrive as AuraHandledExceptions whose message is AssistantException JSON:
+// { code, message, retryable, retryAfterSeconds }, the last only for quota errors
+function parseError(error, fallbackMessage) {
+   const message = error?.body?.message || error?.message || fallbackMessage;
+   try {
+       const parsed = JSON.parse(message);
+       if (parsed && parsed.code) {
+           return { code: parsed.code, message: parsed.message, retryable: !!parsed.retryable, retryAfterSeconds: parsed.retryAfterSeconds };
+       }
+   } catch (e) {
+       // Plain-text message from an older code path
+   }
+   return { code: 'UNKNOWN', message, retryable: false };
+}
+
 export default class AssistantChat extends NavigationMixin(LightningElement) {
-   @api height = '600px';
-   @api welcomeMessage = 'Hello! How can I help you today?';
-   @api inputPlaceholder = 'Type your message...';
+   @api height = DEFAULT_HEIGHT; // pixels from App Builder, or any CSS length
+   @api welcomeMessage = ''; // blank uses the assistant profile's, then the default
+   @api inputPlaceholder = '';
+   @api recordId;         // set automatically on Lightning Record Pages
+   @api objectApiName;    // set automatically on Lightning Record Pages
+   @api contextFields = ''; // comma-separated field API names sent as record context
+   @api citationPatterns = ''; // JSON array of custom citation rules, see citations.js
+   @api assistantProfile = ''; // Assistant_Profile__mdt DeveloperName; blank uses the Default profile
+   @api displayMode = 'Inline'; // Inline fills its page region; Docked floats in the corner and can be minimized
+
+   // Branding for this instance; blank values fall back to the assistant profile, then the defaults
+   @api brandName = '';
+   @api avatarUrl = '';
+   @api userBubbleColor = '';
+   @api assistantBubbleColor = '';
+   @api density = 'Comfortable'; // Comfortable or Compact spacing
+   @api colorScheme = 'Light'; // Light, Dark or Auto
 
    @track messages = [];
    @track userInput = '';
    @track isLoading = false;
    @track conversationId = '';
-
+   @track historyItems = [];
+   @track showHistory = false;
+   @track isHistoryLoading = false;
+   @track pendingAttachments = []; // uploaded files waiting to go out with the next message
+   @track isUploading = false;
+   @track isDragging = false;
+   @track showRecordFiles = false;
+   @track recordFiles = [];
+   @track citationPreview = null;
+   @track showLogPanel = false;
+   @track logType = 'Note';
+   @track logToCurrentRecord = true;
+   @track logObjectApiName = 'Case';
+   @track logTargetId = null; // record chosen in the picker when not logging to the current record
+   @track isLogging = false;
+   @track isExporting = false;
+   @track downloadUrl = null; // Blob URL of the transcript being downloaded
+   @track downloadName = '';
+   @track profile = null; // { name, assistantName, tagline, welcomeMessage, suggestedPrompts, iconName, brandColor }
+   @track liveMessage = ''; // read out by the polite live region
+   @track activeMessageId = null; // the bubble in the tab order (roving tabindex); the latest one when unset
+   @track isMinimized = false; // docked layout collapsed to its launcher
+   @track unreadCount = 0; // replies that arrived while the panel was collapsed
+   @track prefersDark = false; // the operating system asks for dark mode; only used when colorScheme is Auto
+
+   labels = LABELS;
    sessionId = Date.now().toString(); // Keep for legacy compatibility
    chatContainer = null; // Cached reference
+   renderedContent = new Map(); // message id -> HTML currently in its lwc:dom="manual" container
+   wiredContainers = new WeakSet(); // manual containers that already have a click listener
+   citationCards = new Map(); // "<rule key>|<ref>" -> resolved preview card from Apex
+   _citationGrammar = null;
+
+   // In-flight response
+   activeRequestId = null;
+   streamedText = '';
+   streamSteps = [];
+   streamSuggestions = []; // follow-up questions sent by the backend for this response
+   streamActions = []; // action proposals sent by the backend for this response, see AssistantActions
+   streamRedacted = false; // the question's badge for values masked before sending is shown, see AssistantRedactor
+   revealedLength = 0;
+   streamCompleted = false;
+   streamStartedAt = 0;
+   pollTimer = null;
+   revealTimer = null;
+   pendingRequest = null; // { message, attachmentIds } the in-flight response answers, kept for retries
+   retryAttempt = 0;
+   retryTimer = null;
+
+   recallIndex = null; // which sent prompt Up/Down has put in the composer, if any
+   downloadPending = false; // the download link points at a new file and still has to be clicked
+   instanceId = `${Date.now()}-${Math.random().toString(36).substring(2)}`; // who claimed an outbox question
+
+   // Message quota from AssistantQuota.getStatus, null when unlimited; sending waits out cooldownSeconds
+   quota = null;
+   cooldownSeconds = 0;
+   cooldownUntil = 0;
+   cooldownTimer = null;
+
+   // Lightning utility bar: set when this instance is a utility item
+   utilityId = null;
+   utilityLabel = null; // the label the admin gave the utility item, restored once replies are read
+   utilityPanelVisible = true;
 
    /* ============================================== LIFECYCLE ============================================== */
    async connectedCallback() {
+       this.loadProfile();
+       this.loadQuota();
+       this.boundHandleOnline = () => this.handleOnline();
+       window.addEventListener('online', this.boundHandleOnline);
+       this.boundReleaseOutbox = () => this.releaseOutboxClaims();
+       window.addEventListener('pagehide', this.boundReleaseOutbox);
+       this.watchColorScheme();
+       this.isMinimized = this.isDocked && this.getSavedMinimized();
+
+       // Resume the conversation that was open before a refresh
+       const savedConversationId = this.getSavedConversationId();
+       if (savedConversationId && await this.loadConversation(savedConversationId)) {
+           return;
+       }
+
        // Generate conversation ID
        try {
            this.conversationId = await generateConversationId();
@@ -33,14 +327,43 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
            // Fallback to client-side generation
            this.conversationId = `conv_${Date.now()}_${Math.random().toString(36).substring(7)}`;
        }
+       this.rememberConversation();
+   }
+
+   async loadProfile() {
+       try {
+           this.profile = await getAssistantProfile({ profileName: this.assistantProfile });
+       } catch (error) {
+           console.error('Failed to load assistant profile:', error);
+       }
+   }
+
+   // Auto colour scheme: follow the operating system, including when it switches while the page is open
+   watchColorScheme() {
+       if (this.colorScheme !== COLOR_SCHEME_AUTO || typeof window.matchMedia !== 'function') {
+           return;
+       }
+       this.darkSchemeQuery = window.matchMedia(DARK_SCHEME_QUERY);
+       this.prefersDark = this.darkSchemeQuery.matches;
+       this.boundHandleSchemeChange = event => {
+           this.prefersDark = event.matches;
+       };
+       this.darkSchemeQuery.addEventListener?.('change', this.boundHandleSchemeChange);
    }
 
    disconnectedCallback() {
+       this.clearStreamTimers();
+       clearInterval(this.cooldownTimer);
+       window.removeEventListener('online', this.boundHandleOnline);
+       window.removeEventListener('pagehide', this.boundReleaseOutbox);
+       this.releaseOutboxClaims();
+       this.revokeDownload();
+       this.discardUploads(this.pendingAttachments);
+       this.darkSchemeQuery?.removeEventListener?.('change', this.boundHandleSchemeChange);
+
        // Clean up event listeners
-       const existingLinks = this.template.querySelectorAll('.knowledge-article-link');
-       existingLinks.forEach(link => {
-           link.removeEventListener('click', this.boundHandleKnowledgeArticleClick);
-       });
+       const existingLinks = this.template.querySelectorAll('.citation-link');
+       existingLinks.forEach(link => this.removeCitationListeners(link));
    }
 
    renderedCallback() {
@@ -52,88 +375,324 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        // Handle manual DOM manipulation for messages with article links
        this.setupManualDOMContent();
 
-       // Add event listeners for knowledge article links
-       this.setupKnowledgeArticleLinks();
+       // Add event listeners for citation links
+       this.setupCitationLinks();
+
+       this.startPendingDownload();
    }
 
    setupManualDOMContent() {
        // Find all manual DOM containers and populate them
        const manualContainers = this.template.querySelectorAll('.message-with-links');
 
+       if (!this.boundHandleRichContentClick) {
+           this.boundHandleRichContentClick = this.handleRichContentClick.bind(this);
+       }
+
        manualContainers.forEach(container => {
            const messageId = container.dataset.messageId;
+           if (!messageId) return;
 
-           if (messageId && !container.hasChildNodes()) {
-               // Find the corresponding message
-               const message = this.messages.find(msg => String(msg.id) === String(messageId));
+           // Find the corresponding message
+           const message = this.messages.find(msg => String(msg.id) === String(messageId));
+           if (!message || !message.content) return;
 
-               if (message && message.content) {
-                   container.innerHTML = message.content;
-               }
+           // (Re)populate when the container is new or the message content changed
+           if (!container.hasChildNodes() || this.renderedContent.get(messageId) !== message.content) {
+               // Sanitize at the point of injection: nothing outside the allow-list reaches the DOM
+               container.innerHTML = sanitizeHtml(message.content);
+               this.renderedContent.set(messageId, message.content);
+           }
+
+           if (!this.wiredContainers.has(container)) {
+               container.addEventListener('click', this.boundHandleRichContentClick);
+               this.wiredContainers.add(container);
            }
        });
    }
 
-   setupKnowledgeArticleLinks() {
-       // Remove existing listeners to prevent duplicates
-       const existingLinks = this.template.querySelectorAll('.knowledge-article-link');
-       existingLinks.forEach(link => {
-           link.removeEventListener('click', this.boundHandleKnowledgeArticleClick);
-       });
+   handleRichContentClick(event) {
+       const copyButton = event.target.closest('.code-copy-button');
+       if (!copyButton) return;
+
+       const code = copyButton.parentElement.querySelector('code');
+       this.copyToClipboard(code ? code.textContent : '', copyButton);
+   }
 
-       // Bind the handler once and store reference
-       if (!this.boundHandleKnowledgeArticleClick) {
-           this.boundHandleKnowledgeArticleClick = this.handleKnowledgeArticleClick.bind(this);
+   async copyToClipboard(text, button) {
+       try {
+           await navigator.clipboard.writeText(text);
+           if (button) {
+               button.textContent = LABELS.copied;
+               setTimeout(() => {
+                   button.textContent = LABELS.copy;
+               }, 2000);
+           }
+       } catch (error) {
+           console.error('Copy failed:', error);
+           this.showToast(LABELS.errorTitle, LABELS.copyFailed, 'error');
+       }
+   }
+
+   setupCitationLinks() {
+       // Bind the handlers once and store references
+       if (!this.boundHandleCitationClick) {
+           this.boundHandleCitationClick = this.handleCitationClick.bind(this);
+           this.boundShowCitationPreview = this.handleShowCitationPreview.bind(this);
+           this.boundHideCitationPreview = this.handleHideCitationPreview.bind(this);
        }
 
-       // Add new listeners
+       // Remove existing listeners to prevent duplicates, then add them again
+       const existingLinks = this.template.querySelectorAll('.citation-link');
        existingLinks.forEach(link => {
-           link.addEventListener('click', this.boundHandleKnowledgeArticleClick);
+           this.removeCitationListeners(link);
+           link.addEventListener('click', this.boundHandleCitationClick);
+           link.addEventListener('mouseenter', this.boundShowCitationPreview);
+           link.addEventListener('focus', this.boundShowCitationPreview);
+           link.addEventListener('mouseleave', this.boundHideCitationPreview);
+           link.addEventListener('blur', this.boundHideCitationPreview);
        });
    }
 
-   handleKnowledgeArticleClick(event) {
+   removeCitationListeners(link) {
+       link.removeEventListener('click', this.boundHandleCitationClick);
+       link.removeEventListener('mouseenter', this.boundShowCitationPreview);
+       link.removeEventListener('focus', this.boundShowCitationPreview);
+       link.removeEventListener('mouseleave', this.boundHideCitationPreview);
+       link.removeEventListener('blur', this.boundHideCitationPreview);
+   }
+
+   handleCitationClick(event) {
        event.preventDefault();
-       const articleId = event.target.dataset.articleId;
-       const articleNumber = event.target.dataset.articleNumber;
+       const card = this.citationCards.get(event.currentTarget.dataset.citationKey);
+       if (!card) return;
 
-       // Check if this is a mock ID (starts with kA1000000000)
-       if (articleId && articleId.startsWith('kA1000000000')) {
-           this.showToast('Knowledge Article', `Article ${articleNumber} not found in this org`, 'warning');
-           return;
+       this.citationPreview = null;
+       if (card.type === 'article') {
+           this.openKnowledgeArticle(card.recordId);
+       } else {
+           this.openRecord(card.recordId);
        }
+   }
 
-       if (articleId) {
-           this.openKnowledgeArticle(articleId);
-       }
+   handleShowCitationPreview(event) {
+       const link = event.currentTarget;
+       const card = this.citationCards.get(link.dataset.citationKey);
+       const wrapper = this.template.querySelector('.chat-wrapper');
+       if (!card || !wrapper) return;
+
+       // Position the card just below the link, inside the chat wrapper
+       const linkRect = link.getBoundingClientRect();
+       const wrapperRect = wrapper.getBoundingClientRect();
+       const top = linkRect.bottom - wrapperRect.top + 6;
+       const left = Math.max(8, Math.min(linkRect.left - wrapperRect.left, wrapperRect.width - 288));
+
+       this.citationPreview = {
+           ...card,
+           hasSummary: !!card.summary,
+           hasLastUpdated: !!card.lastUpdated,
+           style: `top:${top}px;left:${left}px;`
+       };
+   }
+
+   handleHideCitationPreview() {
+       this.citationPreview = null;
    }
 
    /* ============================================== COMPUTED ============================================== */
+   get wrapperClass() {
+       let classes = 'chat-wrapper';
+       if (this.isCompact) classes += ' chat-wrapper_compact';
+       if (this.isInUtilityBar) classes += ' chat-wrapper_utility';
+       if (this.isDocked) classes += ' chat-wrapper_docked';
+       if (this.showLauncher) classes += ' chat-wrapper_minimized';
+       if (this.density === DENSITY_COMPACT) classes += ' chat-wrapper_dense';
+       if (this.isDarkScheme) classes += ' chat-wrapper_dark';
+       return classes;
+   }
+
    get wrapperStyle() {
-       return `height:${this.height};max-height:${this.height};`;
+       // A utility item fills the panel the admin sized in App Manager; a docked panel never outgrows the window
+       const height = this.heightValue;
+       let style = `height:${height};max-height:${height};`;
+       if (this.isInUtilityBar) {
+           style = 'height:100%;max-height:100%;';
+       } else if (this.isDocked) {
+           style = `height:${height};max-height:calc(100vh - 2rem);`;
+       }
+       return style + this.brandStyle;
+   }
+
+   // App Builder stores the height as a number of pixels
+   get heightValue() {
+       const height = String(this.height ?? '').trim();
+       if (/^\d+(\.\d+)?$/.test(height)) {
+           return `${height}px`;
+       }
+       return SAFE_CSS_LENGTH.test(height) ? height : DEFAULT_HEIGHT;
+   }
+
+   // The launcher sits outside the wrapper, so it takes the brand colours separately.
+   // Bubble colours set in App Builder win over the profile's brand colour; text on them is picked for contrast.
+   get brandStyle() {
+       let style = '';
+       const brandColor = safeColor(this.profile?.brandColor);
+       if (brandColor) {
+           style += `--assistant-brand-color:${brandColor};`;
+       }
+
+       const userColor = safeColor(this.userBubbleColor) || brandColor;
+       if (userColor) {
+           style += `--bubble-user-bg:${userColor};`;
+           const userText = readableTextColor(userColor);
+           style += userText ? `--bubble-user-text:${userText};` : '';
+       }
+
+       const assistantColor = safeColor(this.assistantBubbleColor);
+       if (assistantColor) {
+           style += `--bubble-ai-bg:${assistantColor};`;
+           const assistantText = readableTextColor(assistantColor);
+           style += assistantText ? `--bubble-ai-text:${assistantText};` : '';
+       }
+       return style;
+   }
+
+   get isDarkScheme() {
+       return this.colorScheme === COLOR_SCHEME_DARK || (this.colorScheme === COLOR_SCHEME_AUTO && this.prefersDark);
+   }
+
+   get assistantName() {
+       return this.brandName?.trim() || this.profile?.assistantName || LABELS.defaultAssistantName;
+   }
+
+   // An avatar image from App Builder replaces the profile icon and the default logo
+   get avatarSrc() {
+       const url = typeof this.avatarUrl === 'string' ? this.avatarUrl.trim() : '';
+       return SAFE_IMAGE_URL.test(url) ? url : null;
+   }
+
+   get showProfileIcon() {
+       return !this.avatarSrc && !!this.profileIconName;
+   }
+
+   get showDefaultLogo() {
+       return !this.avatarSrc && !this.profileIconName;
+   }
+
+   get assistantTagline() {
+       return this.profile ? this.profile.tagline : LABELS.defaultTagline;
+   }
+
+   get profileIconName() {
+       return this.profile?.iconName;
+   }
+
+   get welcomeText() {
+       return this.welcomeMessage || this.profile?.welcomeMessage || LABELS.welcomeMessage;
+   }
+
+   get placeholderText() {
+       return this.inputPlaceholder || LABELS.inputPlaceholder;
+   }
+
+   // Starter prompt chips on the welcome screen, from the assistant profile
+   get starterPrompts() {
+       return normalizeSuggestions(this.profile?.suggestedPrompts).map((label, index) => ({ key: `starter-${index}`, label }));
+   }
+
+   get hasStarterPrompts() {
+       return this.starterPrompts.length > 0;
+   }
+
+   // Messages as the list renders them: one bubble in the tab order, each named for screen readers
+   get messageItems() {
+       const activeId = this.messages.some(m => m.id == this.activeMessageId)
+           ? this.activeMessageId
+           : this.messages[this.messages.length - 1]?.id;
+
+       return this.messages.map(msg => ({
+           ...msg,
+           tabIndex: msg.id == activeId ? '0' : '-1',
+           speakerLabel: this.getSpeakerLabel(msg)
+       }));
+   }
+
+   getSpeakerLabel(msg) {
+       if (msg.role === 'user') return LABELS.speakerYou;
+       if (msg.role === 'system') return LABELS.speakerSystem;
+       return formatLabel(msg.isTyping ? LABELS.assistantTyping : LABELS.speakerAssistant, this.assistantName);
    }
 
    get hasMessages() {
        return this.messages.length > 1; // exclude system message
    }
 
+   // Nothing has been asked yet (system notices like "Conversation cleared." don't count)
    get showWelcome() {
-       return this.messages.length === 1 && !this.isLoading;
+       return !this.isLoading && !this.messages.some(m => m.role === 'user' || m.role === 'assistant');
+   }
+
+   get hasRecordContext() {
+       return !!this.recordId;
+   }
+
+   get recordContextLabel() {
+       return formatLabel(LABELS.recordContext, this.objectApiName || LABELS.recordContextFallback);
    }
 
    get sendDisabled() {
-       return !this.userInput?.trim() || this.isLoading;
+       return !this.userInput?.trim() || this.isLoading || this.isUploading || this.cooldownSeconds > 0;
+   }
+
+   get retryDisabled() {
+       return this.isLoading || this.cooldownSeconds > 0;
+   }
+
+   get maxMessageLength() {
+       return this.quota?.maxMessageLength || null;
+   }
+
+   // One line under the composer: the cooldown, the length counter near the limit, or the messages left today
+   get quotaText() {
+       if (this.cooldownSeconds > 0) {
+           return this.quota?.remainingToday === 0 ? LABELS.quotaDayReached : formatLabel(LABELS.quotaCooldown, this.cooldownSeconds);
+       }
+       const length = this.userInput?.length || 0;
+       if (this.maxMessageLength && length >= this.maxMessageLength * MESSAGE_LENGTH_WARN_SHARE) {
+           return formatLabel(LABELS.messageLength, length, this.maxMessageLength);
+       }
+       const { messagesPerDay, remainingToday } = this.quota || {};
+       if (messagesPerDay && remainingToday != null && remainingToday <= messagesPerDay * QUOTA_LOW_SHARE) {
+           return formatLabel(LABELS.quotaRemaining, remainingToday, messagesPerDay);
+       }
+       return null;
+   }
+
+   get attachmentAccept() {
+       return ATTACHMENT_EXTENSIONS.map(extension => `.${extension}`).join(',');
+   }
+
+   get hasPendingAttachments() {
+       return this.pendingAttachments.length > 0;
+   }
+
+   get attachDisabled() {
+       return this.isLoading || this.isUploading || this.pendingAttachments.length >= MAX_ATTACHMENTS;
+   }
+
+   get hasRecordFiles() {
+       return this.recordFiles.length > 0;
    }
 
    /* ============================================== MESSAGE HANDLING ============================================== */
-   async addMessage(content, role = 'user', isTyping = false) {
+   async addMessage(content, role = 'user', isTyping = false, meta = {}) {
        // Remove previous typing indicator if exists
        if (isTyping) {
            this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
        }
 
-       const id = isTyping ? TYPING_INDICATOR_ID : Date.now() + Math.random();
-       const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+       const id = isTyping ? TYPING_INDICATOR_ID : meta.id || Date.now() + Math.random();
+       const createdAt = meta.createdAt || new Date().toISOString();
 
        // Handle async renderMarkdown for assistant messages
        let processedContent;
@@ -144,28 +703,79 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        }
 
        // Check if the content has article references
-       const hasArticleRefs = role === 'assistant' && this.hasArticleReferences(content);
+       const hasArticleRefs = role === 'assistant' && hasCitations(content, this.citationGrammar);
+       const steps = this.decorateSteps(meta.steps);
+       const attachments = this.decorateAttachments(meta.attachments);
+       const suggestions = normalizeSuggestions(meta.suggestions).map((label, index) => ({ key: `suggestion-${index}`, label }));
+       const actions = (meta.actions || []).map(action => this.decorateAction(action, 'proposed'));
 
        const newMessage = {
            id,
            content: processedContent,
            rawContent: content,
            role,
+           createdAt,
            isTyping,
-           bubbleClass: role === 'user' ? 'bubble-user' : role === 'system' ? 'bubble-system' : 'bubble-ai',
-           showActions: role === 'assistant' && !isTyping,
-           feedbackGiven: null,
-           showFeedbackInput: false,
-           feedbackType: null,
-           feedbackTypeText: '',
-           feedbackComment: '',
-           isSubmittingFeedback: false,
-           feedbackPlaceholder: '',
-           feedbackRows: 2,
-           hasArticleLinks: hasArticleRefs
+           bubbleClass: role === 'user' ? 'bubble-user' : role === 'system' ? 'bubble-system' : meta.isError ? 'bubble-ai bubble-error' : 'bubble-ai',
+           showActions: role === 'assistant' && !isTyping && !meta.isError,
+           ...this.getFeedbackState(meta.feedback),
+           ...CLOSED_FEEDBACK_EDITOR,
+           hasArticleLinks: hasArticleRefs,
+           isRichContent: role === 'assistant' && !isTyping,
+           steps,
+           hasSteps: steps.length > 0,
+           stepsLabel: formatLabel(LABELS.howIGotThisAnswer, steps.length),
+           statusText: meta.statusText || '',
+           isError: !!meta.isError,
+           errorCode: meta.errorCode || null,
+           retryRequest: meta.retryRequest || null,
+           canRetry: !!meta.retryRequest,
+           suggestions,
+           hasSuggestions: suggestions.length > 0,
+           actions,
+           hasActions: actions.length > 0,
+           canRegenerate: role === 'assistant' && !isTyping && !meta.isError,
+           canEdit: role === 'user',
+           ...CLOSED_MESSAGE_EDITOR,
+           versionGroupId: meta.regeneratedFrom || id,
+           versions: [],
+           ...this.getVersionState(0, 1),
+           attachments,
+           hasAttachments: attachments.length > 0,
+           ...this.getOutboxState(meta.outboxStatus, meta.outboxReason),
+           ...this.getStepsToggleState(false)
        };
 
-       this.messages = [...this.messages, newMessage];
+       // Follow-up chips and Regenerate only ever belong to the latest answer, Edit to the latest question
+       let previousMessages = isTyping ? this.messages : this.clearSuggestions(this.messages);
+       if (newMessage.canRegenerate) {
+           previousMessages = previousMessages.map(m => (m.canRegenerate ? { ...m, canRegenerate: false } : m));
+       }
+       if (newMessage.canEdit) {
+           previousMessages = previousMessages.map(m => (m.canEdit ? { ...m, canEdit: false, ...CLOSED_MESSAGE_EDITOR } : m));
+       }
+
+       // A regenerated answer becomes the newest version of the bubble it replaces
+       const original = meta.regeneratedFrom && previousMessages.find(m => m.versionGroupId === meta.regeneratedFrom);
+       if (original) {
+           const versions = [...this.getVersions(original), this.snapshotVersion(newMessage)];
+           const merged = {
+               ...newMessage,
+               versions,
+               ...this.getVersionState(versions.length - 1, versions.length)
+           };
+           this.messages = previousMessages.map(m => (m === original ? merged : m));
+       } else {
+           this.messages = [...previousMessages, newMessage];
+       }
+
+       if (role === 'system') {
+           this.announce(content);
+       }
+
+       if (!isTyping && meta.persist !== false && (role === 'user' || role === 'assistant')) {
+           this.persistMessage(newMessage, meta.steps, meta.attachments, meta.regeneratedFrom);
+       }
 
        // Critical: Wait for DOM to update, then scroll
        if (!isTyping) {
@@ -173,12 +783,78 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        }
    }
 
+   clearSuggestions(messages) {
+       return messages.map(m => (m.hasSuggestions ? { ...m, suggestions: [], hasSuggestions: false } : m));
+   }
+
+   persistMessage(message, steps, attachments, regeneratedFrom) {
+       saveChatMessage({
+           conversationId: this.conversationId,
+           messageKey: String(message.id),
+           role: message.role,
+           content: message.rawContent,
+           steps: steps?.length ? JSON.stringify(steps) : null,
+           attachments: attachments?.length ? JSON.stringify(attachments) : null,
+           regeneratedFrom: regeneratedFrom || null,
+           profileName: this.assistantProfile
+       }).catch(error => {
+           console.error('Failed to save message:', error);
+       });
+   }
+
    addSystemMessage(content) {
        this.messages = [{
            id: 'system-0',
            content: this.escapeHtml(content),
            role: 'system'
        }];
+       this.announce(content);
+   }
+
+   decorateSteps(steps) {
+       if (!Array.isArray(steps)) return [];
+
+       return steps.map((step, index) => {
+           const items = Array.isArray(step.items) ? step.items : [];
+           return {
+               ...step,
+               key: `step-${index}`,
+               iconName: STEP_ICONS[step.kind] || STEP_ICONS.other,
+               hasDetail: !!step.detail,
+               items: items.map((label, itemIndex) => ({ key: `step-${index}-${itemIndex}`, label })),
+               hasItems: items.length > 0
+           };
+       });
+   }
+
+   // Attachment cards from AssistantAttachments, plus what the bubble and composer need to draw them
+   decorateAttachments(attachments) {
+       if (!Array.isArray(attachments)) return [];
+
+       return attachments.map(file => ({
+           ...file,
+           key: file.contentVersionId,
+           iconName: file.isImage ? 'doctype:image' : ATTACHMENT_ICONS[file.fileExtension] || 'doctype:unknown',
+           thumbnailUrl: file.isImage
+               ? `/sfc/servlet.shepherd/version/renditionDownload?rendition=THUMB240BY180&versionId=${file.contentVersionId}`
+               : null,
+           sizeLabel: this.formatFileSize(file.size)
+       }));
+   }
+
+   formatFileSize(bytes) {
+       if (!bytes) return '';
+       if (bytes < 1000) return `${bytes} B`;
+       if (bytes < 1000000) return `${Math.round(bytes / 1000)} KB`;
+       return `${(bytes / 1000000).toFixed(1)} MB`;
+   }
+
+   getStepsToggleState(showSteps) {
+       return {
+           showSteps,
+           stepsExpanded: String(showSteps),
+           stepsToggleIcon: showSteps ? 'utility:chevrondown' : 'utility:chevronright'
+       };
    }
 
    escapeHtml(text) {
@@ -191,210 +867,61 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
    async renderMarkdown(text) {
        if (!text) return '';
 
-       // First, apply basic markdown formatting
-       let formattedText = text
-           .replace(/&/g, '&amp;')
-           .replace(/</g, '&lt;')
-           .replace(/>/g, '&gt;')
-           .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-           .replace(/\*(.*?)\*/g, '<em>$1</em>')
-           .replace(/__(.*?)__/g, '<strong>$1</strong>')
-           .replace(/_(.*?)_/g, '<em>$1</em>')
-           .replace(/`(.*?)`/g, '<code class="slds-code_inline">$1</code>')
-           .replace(/\n/g, '<br>');
-
-       // Parse and replace article references with links
-       formattedText = await this.parseArticleReferences(formattedText);
+       // First, render the Markdown (source text is escaped; see markdown.js)
+       let formattedText = renderMarkdownHtml(text);
+
+       // Resolve citations (articles, cases, records, ...) and turn them into preview links
+       formattedText = await this.linkCitations(formattedText, text);
 
        return formattedText;
    }
 
-   async parseArticleReferences(text) {
-       // Extract all article numbers from various patterns
-       const articleNumbers = this.extractArticleNumbers(text);
-
-       if (articleNumbers.length === 0) {
-           return text;
-       }
-
-       try {
-           // Get Knowledge Article IDs from Apex
-           const articleMap = await getKnowledgeArticleIds({ articleNumbers });
-
-           // Replace article references with clickable links
-           let updatedText = text;
-
-           // Pattern 1: (Article 000005262)
-           updatedText = updatedText.replace(/\(Article\s+(\d{9})\)/g, (match, articleNumber) => {
-               const articleId = articleMap[articleNumber];
-               if (articleId) {
-                   return `(<a href="#" data-article-id="${articleId}" data-article-number="${articleNumber}" class="knowledge-article-link">Article ${articleNumber}</a>)`;
-               }
-               return match;
-           });
-
-           // Pattern 2: (Article Numbers: 000005262, 000005218)
-           updatedText = updatedText.replace(/\(Article\s+Numbers:\s*([\d,\s]+)\)/g, (match, articleNumbers) => {
-               const numbers = articleNumbers.split(',').map(n => n.trim());
-               const links = numbers.map(num => {
-                   const articleId = articleMap[num];
-                   if (articleId && /^\d{9}$/.test(num)) {
-                       return `<a href="#" data-article-id="${articleId}" data-article-number="${num}" class="knowledge-article-link">${num}</a>`;
-                   }
-                   return num;
-               });
-               return `(Article Numbers: ${links.join(', ')})`;
-           });
-
-           // Pattern 3: (Article Number: 000006196)
-           updatedText = updatedText.replace(/\(Article\s+Number:\s*(\d{9})\)/g, (match, articleNumber) => {
-               const articleId = articleMap[articleNumber];
-               if (articleId) {
-                   return `(Article Number: <a href="#" data-article-id="${articleId}" data-article-number="${articleNumber}" class="knowledge-article-link">${articleNumber}</a>)`;
-               }
-               return match;
-           });
-
-           // Pattern 4: (Article 000005262, 000005263) - legacy support
-           updatedText = updatedText.replace(/\(Article\s+([\d,\s]+)\)/g, (match, articleNumbers) => {
-               // Skip if this looks like our new patterns
-               if (match.includes('Number:') || match.includes('Numbers:')) {
-                   return match; // Let other patterns handle this
-               }
-               const numbers = articleNumbers.split(',').map(n => n.trim());
-               const links = numbers.map(num => {
-                   const articleId = articleMap[num];
-                   if (articleId) {
-                       return `<a href="#" data-article-id="${articleId}" data-article-number="${num}" class="knowledge-article-link">${num}</a>`;
-                   }
-                   return num;
-               });
-               return `(Article ${links.join(', ')})`;
-           });
-
-           // Pattern 5: Article: 000005262
-           updatedText = updatedText.replace(/Article:\s+(\d{9})/g, (match, articleNumber) => {
-               const articleId = articleMap[articleNumber];
-               if (articleId) {
-                   return `Article: <a href="#" data-article-id="${articleId}" data-article-number="${articleNumber}" class="knowledge-article-link">${articleNumber}</a>`;
-               }
-               return match;
-           });
-
-           // Pattern 6: Article Numbers: 000006196, 000005218 (without parentheses)
-           updatedText = updatedText.replace(/Article\s+Numbers:\s*([\d,\s]+)/g, (match, articleNumbers) => {
-               const numbers = articleNumbers.split(',').map(n => n.trim());
-               const links = numbers.map(num => {
-                   const articleId = articleMap[num];
-                   if (articleId && /^\d{9}$/.test(num)) {
-                       return `<a href="#" data-article-id="${articleId}" data-article-number="${num}" class="knowledge-article-link">${num}</a>`;
-                   }
-                   return num;
-               });
-               return `Article Numbers: ${links.join(', ')}`;
-           });
-
-           // Pattern 7: Article Number: 000006196 (without parentheses)
-           updatedText = updatedText.replace(/Article\s+Number:\s*(\d{9})/g, (match, articleNumber) => {
-               const articleId = articleMap[articleNumber];
-               if (articleId) {
-                   return `Article Number: <a href="#" data-article-id="${articleId}" data-article-number="${articleNumber}" class="knowledge-article-link">${articleNumber}</a>`;
-               }
-               return match;
-           });
-
-           return updatedText;
-
-       } catch (error) {
-           console.error('Error fetching article IDs:', error);
-           return text; // Return original text if error occurs
+   get citationGrammar() {
+       if (!this._citationGrammar) {
+           this._citationGrammar = buildCitationGrammar(this.citationPatterns);
        }
+       return this._citationGrammar;
    }
 
-   extractArticleNumbers(text) {
-       const numbers = new Set();
-
-       // Pattern 1: (Article 000005262)
-       const pattern1 = /\(Article\s+(\d{9})\)/g;
-       let match;
-       while ((match = pattern1.exec(text)) !== null) {
-           numbers.add(match[1]);
-       }
-
-       // Pattern 2: (Article 000005262, 000005263) - legacy support
-       const pattern2 = /\(Article\s+([\d,\s]+)\)/g;
-       while ((match = pattern2.exec(text)) !== null) {
-           const articleNumbers = match[1].split(',').map(n => n.trim());
-           articleNumbers.forEach(num => {
-               if (/^\d{9}$/.test(num)) {
-                   numbers.add(num);
-               }
-           });
-       }
-
-       // Pattern 3: Article: 000005262
-       const pattern3 = /Article:\s+(\d{9})/g;
-       while ((match = pattern3.exec(text)) !== null) {
-           numbers.add(match[1]);
-       }
-
-       // Pattern 4: (Article Numbers: 000005262, 000005218)
-       const pattern4 = /\(Article\s+Numbers:\s*([\d,\s]+)\)/g;
-       while ((match = pattern4.exec(text)) !== null) {
-           const articleNumbers = match[1].split(',').map(n => n.trim());
-           articleNumbers.forEach(num => {
-               if (/^\d{9}$/.test(num)) {
-                   numbers.add(num);
-               }
-           });
-       }
-
-       // Pattern 5: (Article Number: 000006196)
-       const pattern5 = /\(Article\s+Number:\s*(\d{9})\)/g;
-       while ((match = pattern5.exec(text)) !== null) {
-           numbers.add(match[1]);
-       }
-
-       // Pattern 6: Article Numbers: 000006196, 000005218 (without parentheses)
-       const pattern6 = /Article\s+Numbers:\s*([\d,\s]+)/g;
-       while ((match = pattern6.exec(text)) !== null) {
-           const articleNumbers = match[1].split(',').map(n => n.trim());
-           articleNumbers.forEach(num => {
-               if (/^\d{9}$/.test(num)) {
-                   numbers.add(num);
-               }
-           });
+   async linkCitations(html, text) {
+       const queries = extractCitations(text, this.citationGrammar);
+       if (queries.length === 0) {
+           return html;
        }
 
-       // Pattern 7: Article Number: 000006196 (without parentheses)
-       const pattern7 = /Article\s+Number:\s*(\d{9})/g;
-       while ((match = pattern7.exec(text)) !== null) {
-           numbers.add(match[1]);
+       try {
+           const resolved = await resolveCitations({ queries });
+           await Promise.all(Object.keys(resolved).map(async key => {
+               resolved[key] = { ...resolved[key], url: await this.generateRecordUrl(resolved[key].recordId) };
+               this.citationCards.set(key, resolved[key]);
+           }));
+           return linkifyCitations(html, this.citationGrammar, resolved);
+       } catch (error) {
+           console.error('Error resolving citations:', error);
+           return html; // Return unlinked text if error occurs
        }
-
-       return Array.from(numbers);
-   }
-
-   hasArticleReferences(text) {
-       if (!text) return false;
-       // Updated patterns to match actual formats:
-       // (Article Numbers: 000005262, 000005218)
-       // (Article Number: 000006196)
-       // (Article 000005262)
-       // Article: 000005262
-       // Article Numbers: 000006196, 000005218
-       return /(\(Article\s+Numbers?:\s*[\d,\s]+\))|(\(Article\s+\d{9}\))|(Article\s+Numbers?:\s*[\d,\s]+)|(Article:\s+\d{9})/g.test(text);
    }
 
    /* ============================================== USER INPUT ============================================== */
    handleInput(event) {
        this.userInput = event.target.value;
+       this.recallIndex = null;
+   }
+
+   // Starter prompt or follow-up chip: ask it as if it had been typed
+   handleSuggestionClick(event) {
+       if (this.isLoading) return;
+       this.userInput = event.currentTarget.dataset.prompt;
+       this.handleSend();
    }
 
    handleKeyDown(event) {
        if (event.key === 'Enter' && !event.shiftKey) {
            event.preventDefault();
            this.handleSend();
+       } else if ((event.key === 'ArrowUp' || event.key === 'ArrowDown') && this.canRecallPrompt(event)) {
+           event.preventDefault();
+           this.recallPrompt(event.key === 'ArrowUp' ? -1 : 1);
        }
    }
 
@@ -404,113 +931,826 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        const userMessage = this.userInput.trim();
        if (!userMessage) return;
 
+       const attachments = this.toAttachmentCards(this.pendingAttachments);
+
        // Clear input immediately and force UI update
        this.userInput = '';
+       this.recallIndex = null;
+       this.pendingAttachments = [];
+       this.showRecordFiles = false;
+
+       this.sendQuestion(userMessage, attachments);
 
-       this.addMessage(userMessage, 'user');
-       this.addMessage('', 'assistant', true);
+       // Sent with the button or a chip: back to the composer for the next question
+       this.focusInput();
+   }
+
+   // Send a question, or queue it in the outbox while offline or behind questions that have not gone out yet
+   sendQuestion(text, attachments) {
+       const id = Date.now() + Math.random();
+       if (navigator.onLine && !this.getOutbox().length) {
+           this.addMessage(text, 'user', false, { id, attachments });
+           this.requestResponse({ message: text, attachmentIds: attachments.map(file => file.contentVersionId), questionId: id, outboxId: id }, 0);
+           return;
+       }
+
+       // Stored once it is actually sent, so history never has a question the service did not get
+       this.addMessage(text, 'user', false, { id, attachments, persist: false, outboxStatus: OUTBOX_PENDING });
+       this.setOutbox([...this.getOutbox(), { id, message: text, attachments, status: OUTBOX_PENDING, persisted: false }]);
+       this.flushOutbox();
+   }
+
+   // Keep only the card fields; the bubble re-decorates them and history stores them as JSON
+   toAttachmentCards(files) {
+       return files.map(({ contentVersionId, contentDocumentId, title, fileExtension, size, isImage }) => ({
+           contentVersionId, contentDocumentId, title, fileExtension, size, isImage
+       }));
+   }
+
+   // Start an asynchronous response to chatRequest ({ message, attachmentIds, questionId }); attempt counts automatic retries of it.
+   // Retries and regenerations answer the same question, so they share its request key and use up the quota once.
+   async requestResponse(chatRequest, attempt, statusText) {
+       this.addMessage('', 'assistant', true, { statusText });
+       this.announce(statusText || formatLabel(LABELS.assistantTyping, this.assistantName));
        this.isLoading = true;
+       this.pendingRequest = chatRequest;
+       this.retryAttempt = attempt;
 
        try {
-           const response = await getChatResponse({
-               message: userMessage,
-               conversationId: this.conversationId
+           const requestId = await startChatResponse({
+               message: chatRequest.message,
+               conversationId: this.conversationId,
+               recordId: this.recordId,
+               contextFields: this.contextFields,
+               profileName: this.assistantProfile,
+               attachmentIds: chatRequest.attachmentIds,
+               requestKey: `${this.conversationId}.${chatRequest.questionId}`
            });
 
-           // Remove typing bubble
-           this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
-           this.addMessage(response, 'assistant');
+           // Stop was pressed before the request was even accepted
+           if (!this.isLoading) {
+               cancelChatResponse({ requestId }).catch(() => {});
+               return;
+           }
+
+           this.activeRequestId = requestId;
+           this.streamedText = '';
+           this.streamSteps = [];
+           this.streamSuggestions = [];
+           this.streamActions = [];
+           this.streamRedacted = false;
+           this.revealedLength = 0;
+           this.streamCompleted = false;
+           this.streamStartedAt = Date.now();
+           this.schedulePoll();
 
        } catch (error) {
-           this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
-           this.addMessage('Sorry, I encountered an error. Please try again later.', 'assistant');
-           this.showToast('Error', error.body?.message || 'Failed to reach AI service', 'error');
-           console.error('Chat error:', error);
-       } finally {
-           this.isLoading = false;
+           this.failStream(parseError(error, LABELS.serviceUnreachable), error);
        }
    }
 
-   /* ============================================== ACTIONS ============================================== */
+   handleRetry(event) {
+       if (this.isLoading) return;
 
-   handleFeedback(event) {
        const msgId = event.currentTarget.dataset.id;
-       const feedback = event.currentTarget.dataset.feedback; // 'positive' or 'negative'
+       const msg = this.messages.find(m => m.id == msgId);
+       if (!msg || !msg.retryRequest) return;
 
-       // Configure feedback experience based on type
-       const isNegative = feedback === 'negative';
-       const feedbackConfig = {
-           showFeedbackInput: true,
-           feedbackType: feedback,
-           feedbackTypeText: isNegative ? '👎 Help us improve' : '👍 Positive feedback',
-           feedbackComment: '',
-           feedbackRows: isNegative ? 4 : 2,
-           feedbackPlaceholder: isNegative
-               ? 'Please be specific: What was incorrect? What should the correct answer be? Include article numbers or references if possible...'
-               : 'Tell us what you liked about this response (optional)...'
-       };
+       // Replace the failed bubble; the user's message is already in the conversation
+       this.messages = this.messages.filter(m => m.id != msgId);
+       this.requestResponse(msg.retryRequest, 0);
+   }
 
-       // Show feedback input inside the specific message bubble
-       this.messages = this.messages.map(msg => {
-           if (msg.id == msgId) {
-               return { ...msg, ...feedbackConfig };
-           }
-           return msg;
-       });
+   handleStop() {
+       if (!this.isLoading) return;
 
-       // Auto-focus the feedback input
-       Promise.resolve().then(() => {
-           const textarea = this.template.querySelector(`textarea[data-id="${msgId}"]`);
-           if (textarea) {
-               textarea.focus();
-           }
-       });
+       const requestId = this.activeRequestId;
+       const partialText = this.streamedText.substring(0, this.revealedLength);
+       const regeneratedFrom = this.pendingRequest?.regenerateOf;
+       const outboxId = this.pendingRequest?.outboxId;
+       this.resetStream();
+
+       if (requestId) {
+           cancelChatResponse({ requestId }).catch(error => {
+               console.error('Failed to cancel response:', error);
+           });
+       }
+
+       this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
+       if (partialText) {
+           this.addMessage(partialText, 'assistant', false, { id: requestId, regeneratedFrom });
+       }
+       this.addMessage(LABELS.responseStopped, 'system');
+       this.focusInput(); // the Stop button is gone now
+       this.sentFromOutbox(outboxId);
    }
 
-   handleBubbleFeedbackInput(event) {
-       const msgId = event.currentTarget.dataset.id;
-       const comment = event.target.value;
+   /* ============================================== ATTACHMENTS ============================================== */
+   handleAttachClick() {
+       this.template.querySelector('.file-input')?.click();
+   }
 
-       this.messages = this.messages.map(msg => {
-           if (msg.id == msgId) {
-               return { ...msg, feedbackComment: comment };
-           }
-           return msg;
-       });
+   handleFileInput(event) {
+       this.addFiles(Array.from(event.target.files || []));
+       event.target.value = ''; // let the same file be picked again
    }
 
-   handleBubbleFeedbackKeyDown(event) {
-       if (event.key === 'Enter') {
-           event.preventDefault();
-           this.submitBubbleFeedback(event);
+   handleDragOver(event) {
+       if (!event.dataTransfer?.types?.includes('Files') || this.isLoading) return;
+       event.preventDefault();
+       this.isDragging = true;
+   }
+
+   handleDragLeave(event) {
+       // Ignore moves between children of the drop zone
+       if (!event.currentTarget.contains(event.relatedTarget)) {
+           this.isDragging = false;
        }
    }
 
-   cancelBubbleFeedback(event) {
-       const msgId = event.currentTarget.dataset.id;
+   handleDrop(event) {
+       if (!this.isDragging) return;
+       event.preventDefault();
+       this.isDragging = false;
+       this.addFiles(Array.from(event.dataTransfer.files || []));
+   }
+
+   // Upload picked or dropped files one at a time; the server re-checks type and size
+   async addFiles(files) {
+       if (!files.length) return;
+       this.isUploading = true;
+
+       try {
+           for (const file of files) {
+               const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+               if (this.pendingAttachments.length >= MAX_ATTACHMENTS) {
+                   this.showToast(LABELS.tooManyAttachmentsTitle, formatLabel(LABELS.tooManyAttachments, MAX_ATTACHMENTS), 'warning');
+                   break;
+               }
+               if (!ATTACHMENT_EXTENSIONS.includes(extension)) {
+                   this.showToast(LABELS.unsupportedFileTitle, formatLabel(LABELS.unsupportedFile, file.name), 'warning');
+                   continue;
+               }
+               if (file.size > MAX_ATTACHMENT_BYTES) {
+                   this.showToast(LABELS.fileTooLargeTitle, formatLabel(LABELS.fileTooLarge, file.name, this.formatFileSize(MAX_ATTACHMENT_BYTES)), 'warning');
+                   continue;
+               }
+
+               try {
+                   const base64Data = await this.readFileAsBase64(file);
+                   const uploaded = await uploadChatAttachment({ fileName: file.name, base64Data });
+                   this.pendingAttachments = [...this.pendingAttachments, ...this.decorateAttachments([{ ...uploaded, uploaded: true }])];
+               } catch (error) {
+                   const failure = parseError(error, formatLabel(LABELS.uploadFailed, file.name));
+                   this.showToast(LABELS.uploadFailedTitle, failure.message, 'error');
+               }
+           }
+       } finally {
+           this.isUploading = false;
+       }
+   }
+
+   readFileAsBase64(file) {
+       return new Promise((resolve, reject) => {
+           const reader = new FileReader();
+           reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+           reader.onerror = () => reject(reader.error);
+           reader.readAsDataURL(file);
+       });
+   }
+
+   async handleToggleRecordFiles() {
+       this.showRecordFiles = !this.showRecordFiles;
+       if (!this.showRecordFiles) return;
+
+       try {
+           const files = await getRecordFiles({ recordId: this.recordId });
+           this.recordFiles = this.decorateAttachments(files);
+       } catch (error) {
+           console.error('Failed to load record files:', error);
+           this.showToast(LABELS.errorTitle, error.body?.message || LABELS.loadFilesFailed, 'error');
+       }
+   }
+
+   handlePickRecordFile(event) {
+       const contentVersionId = event.currentTarget.dataset.id;
+       const file = this.recordFiles.find(f => f.contentVersionId === contentVersionId);
+       if (!file || this.pendingAttachments.some(f => f.contentVersionId === contentVersionId)) return;
+
+       if (file.tooLarge) {
+           this.showToast(LABELS.fileTooLargeTitle, formatLabel(LABELS.fileTooLarge, file.title, this.formatFileSize(MAX_ATTACHMENT_BYTES)), 'warning');
+           return;
+       }
+       if (this.pendingAttachments.length >= MAX_ATTACHMENTS) {
+           this.showToast(LABELS.tooManyAttachmentsTitle, formatLabel(LABELS.tooManyAttachments, MAX_ATTACHMENTS), 'warning');
+           return;
+       }
+
+       this.pendingAttachments = [...this.pendingAttachments, file];
+       this.showRecordFiles = false;
+   }
+
+   handleRemoveAttachment(event) {
+       const contentVersionId = event.currentTarget.dataset.id;
+       this.discardUploads(this.pendingAttachments.filter(f => f.contentVersionId === contentVersionId));
+       this.pendingAttachments = this.pendingAttachments.filter(f => f.contentVersionId !== contentVersionId);
+   }
+
+   // Files uploaded here that will not be sent are deleted again; files picked from the record are left alone
+   discardUploads(files) {
+       files.filter(file => file.uploaded).forEach(file => {
+           discardChatAttachment({ contentVersionId: file.contentVersionId }).catch(error => {
+               console.error('Failed to discard attachment:', error);
+           });
+       });
+   }
+
+   handleOpenAttachment(event) {
+       this.previewFile(event.currentTarget.dataset.documentId);
+   }
+
+   // The file's record page, which Experience Cloud sites have too (the filePreview named page is Lightning only)
+   previewFile(contentDocumentId) {
+       this[NavigationMixin.Navigate](this.recordPageReference(contentDocumentId, 'ContentDocument'));
+   }
+
+   /* ============================================== STREAMING ============================================== */
+   schedulePoll() {
+       this.pollTimer = setTimeout(() => this.pollStream(), STREAM_POLL_INTERVAL_MS);
+   }
+
+   async pollStream() {
+       this.pollTimer = null;
+       const requestId = this.activeRequestId;
+       if (!requestId) return;
+
+       try {
+           const state = await pollChatResponse({ requestId });
+
+           // Stopped, or a new session was started while we were waiting
+           if (requestId !== this.activeRequestId) return;
+
+           if (state.steps?.length > this.streamSteps.length) {
+               this.streamSteps = state.steps;
+               this.updateStreamingStatus(state.steps[state.steps.length - 1].title);
+           }
+
+           if (state.suggestions?.length) {
+               this.streamSuggestions = state.suggestions;
+           }
+
+           if (state.actions?.length) {
+               this.streamActions = state.actions;
+           }
+
+           if (state.quota) {
+               this.applyQuota(state.quota);
+           }
+
+           if (state.redactions?.length && !this.streamRedacted) {
+               this.streamRedacted = true;
+               this.markRedacted(state.redactions);
+           }
+
+           if (state.content) {
+               this.streamedText = state.content;
+               this.scheduleReveal();
+           }
+
+           if (state.status === 'complete') {
+               this.streamCompleted = true;
+               this.scheduleReveal();
+           } else if (state.status === 'error') {
+               this.failStream({
+                   code: state.errorCode || 'UNKNOWN',
+                   message: state.message || LABELS.serviceUnreachable,
+                   retryable: !!state.retryable
+               });
+           } else if (state.status === 'expired' || state.status === 'cancelled') {
+               this.failStream({ code: 'UNKNOWN', message: LABELS.responseExpired, retryable: false });
+           } else if (Date.now() - this.streamStartedAt > STREAM_TIMEOUT_MS) {
+               cancelChatResponse({ requestId }).catch(() => {});
+               this.failStream({ code: 'TIMEOUT', message: LABELS.errorTimeout, retryable: true });
+           } else {
+               this.schedulePoll();
+           }
+
+       } catch (error) {
+           if (requestId === this.activeRequestId) {
+               this.failStream(parseError(error, LABELS.serviceUnreachable), error);
+           }
+       }
+   }
+
+   scheduleReveal() {
+       if (this.revealTimer) return;
+       this.revealTimer = setTimeout(() => this.revealNextChunk(), STREAM_REVEAL_INTERVAL_MS);
+   }
+
+   revealNextChunk() {
+       this.revealTimer = null;
+       const target = this.streamedText;
+
+       if (this.revealedLength < target.length) {
+           // Grow the bubble a few words at a time rather than all at once
+           const nextBreak = target.indexOf(' ', this.revealedLength + STREAM_REVEAL_STEP);
+           this.revealedLength = nextBreak === -1 ? target.length : nextBreak + 1;
+           this.updateStreamingBubble(target.substring(0, this.revealedLength));
+           this.scheduleReveal();
+       } else if (this.streamCompleted) {
+           this.completeStream(target);
+       }
+   }
+
+   updateStreamingBubble(text) {
+       const content = this.escapeHtml(text).replace(/\n/g, '<br>');
+       this.messages = this.messages.map(m => {
+           if (m.id === TYPING_INDICATOR_ID) {
+               return { ...m, content, rawContent: text };
+           }
+           return m;
+       });
+       this.scrollToBottom();
+   }
+
+   updateStreamingStatus(statusText) {
+       this.messages = this.messages.map(m => {
+           if (m.id === TYPING_INDICATOR_ID) {
+               return { ...m, statusText: statusText || '' };
+           }
+           return m;
+       });
+   }
+
+   completeStream(finalText) {
+       const steps = this.streamSteps;
+       const backendSuggestions = this.streamSuggestions;
+       const actions = this.streamActions;
+       const regeneratedFrom = this.pendingRequest?.regenerateOf;
+       const outboxId = this.pendingRequest?.outboxId;
+       const requestId = this.activeRequestId; // doubles as the answer's message key, linking feedback to its chat log
+       this.resetStream();
+
+       // Follow-ups come from the backend if it sent any, otherwise from a closing "Follow-up questions" list,
+       // which is then shown as chips instead of as part of the answer
+       const followUps = extractFollowUps(finalText);
+       const answerText = followUps.suggestions.length && followUps.text ? followUps.text : finalText;
+       const suggestions = backendSuggestions.length ? backendSuggestions : followUps.suggestions;
+
+       // Swap the plain-text streaming bubble for the fully rendered answer
+       this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
+       this.addMessage(answerText, 'assistant', false, { id: requestId, steps, suggestions, actions, regeneratedFrom });
+       this.announce(formatLabel(LABELS.announceReply, this.assistantName, markdownToText(answerText)));
+       this.noteReply();
+       this.sentFromOutbox(outboxId);
+   }
+
+   // Badge the question being answered with what was masked in it: [{ label, count }] from the stream
+   markRedacted(redactions) {
+       const question = [...this.messages].reverse().find(m => m.role === 'user');
+       if (!question) return;
+
+       const notice = formatLabel(LABELS.redactedNotice, redactions.map(item => `${item.label} (${item.count})`).join(', '));
+       this.messages = this.messages.map(m => (m.id === question.id ? { ...m, redactionNotice: notice } : m));
+       this.announce(notice);
+   }
+
+   // failure is { code, message, retryable }, see parseError
+   failStream(failure, error) {
+       const chatRequest = this.pendingRequest;
+       const attempt = this.retryAttempt;
+       this.resetStream();
+       this.messages = this.messages.filter(m => m.id !== TYPING_INDICATOR_ID);
+       if (error) {
+           console.error('Chat error:', error);
+       }
+
+       // Service down or timed out: try again on our own before bothering the user (pointless while offline)
+       if (failure.retryable && chatRequest && attempt < MAX_AUTO_RETRIES && navigator.onLine) {
+           const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+           this.isLoading = true;
+           this.pendingRequest = chatRequest;
+           this.addMessage('', 'assistant', true, { statusText: formatLabel(LABELS.retryingIn, ERROR_MESSAGES[failure.code], delay / 1000) });
+           this.retryTimer = setTimeout(() => {
+               this.retryTimer = null;
+               this.requestResponse(chatRequest, attempt + 1, LABELS.retrying);
+           }, delay);
+           return;
+       }
+
+       // A question that could not reach the service stays on screen, marked failed, and waits in the outbox
+       if (chatRequest?.outboxId && (failure.retryable || !navigator.onLine)) {
+           this.failOutboxEntry(chatRequest.outboxId, navigator.onLine ? ERROR_MESSAGES[failure.code] || ERROR_MESSAGES.UNKNOWN : LABELS.offline);
+           return;
+       }
+
+       const errorText = ERROR_MESSAGES[failure.code] || ERROR_MESSAGES.UNKNOWN;
+       const quotaError = QUOTA_ERROR_CODES.includes(failure.code);
+       this.addMessage(errorText, 'assistant', false, {
+           persist: false,
+           isError: true,
+           errorCode: failure.code,
+           // Resending a message that is too long would only fail again; it has to be edited
+           retryRequest: failure.code === 'MESSAGE_TOO_LONG' ? null : chatRequest
+       });
+       // Quota errors say all there is in the bubble and the cooldown under the composer
+       if (quotaError) {
+           this.startCooldown(failure.retryAfterSeconds);
+       } else {
+           this.showToast(LABELS.errorTitle, failure.message || errorText, 'error');
+       }
+       this.announce(errorText);
+       this.noteReply();
+
+       // The error bubble now stands for the question, so the ones queued after it can go
+       if (chatRequest?.outboxId) {
+           this.sentFromOutbox(chatRequest.outboxId);
+       }
+   }
+
+   resetStream() {
+       this.clearStreamTimers();
+       this.activeRequestId = null;
+       this.streamedText = '';
+       this.streamSteps = [];
+       this.streamSuggestions = [];
+       this.streamActions = [];
+       this.streamRedacted = false;
+       this.revealedLength = 0;
+       this.streamCompleted = false;
+       this.pendingRequest = null;
+       this.retryAttempt = 0;
+       this.isLoading = false;
+   }
+
+   /* ============================================== OUTBOX ============================================== */
+   // Queued questions of the open conversation, oldest first
+   getOutbox() {
+       try {
+           const outbox = JSON.parse(sessionStorage.getItem(this.storageKey(OUTBOX_STORAGE_KEY))) || {};
+           return outbox[this.conversationId] || [];
+       } catch (error) {
+           return [];
+       }
+   }
+
+   setOutbox(entries) {
+       try {
+           const outbox = JSON.parse(sessionStorage.getItem(this.storageKey(OUTBOX_STORAGE_KEY))) || {};
+           if (entries.length) {
+               outbox[this.conversationId] = entries;
+           } else {
+               delete outbox[this.conversationId];
+           }
+           sessionStorage.setItem(this.storageKey(OUTBOX_STORAGE_KEY), JSON.stringify(outbox));
+       } catch (error) {
+           console.error('Failed to save the outbox:', error);
+       }
+   }
+
+   updateOutboxEntry(id, changes) {
+       this.setOutbox(this.getOutbox().map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+   }
+
+   getOutboxState(status, reason) {
+       return {
+           outboxStatus: status || null,
+           isQueued: status === OUTBOX_PENDING,
+           isFailedSend: status === OUTBOX_FAILED,
+           outboxNotice: status === OUTBOX_FAILED ? formatLabel(LABELS.messageNotSent, reason || ERROR_MESSAGES.UNKNOWN) : LABELS.messageQueued
+       };
+   }
+
+   markOutboxMessage(id, status, reason) {
+       this.messages = this.messages.map(m => (m.id === id ? { ...m, ...this.getOutboxState(status, reason) } : m));
+   }
+
+   // Send the oldest queued question; the next one goes once it is answered, so the order is kept
+   flushOutbox() {
+       if (this.isLoading || this.cooldownSeconds > 0 || !navigator.onLine) return;
+
+       const entry = this.claimOutboxHead();
+       if (!entry) return;
+
+       if (!entry.persisted) {
+           this.persistMessage({ id: entry.id, role: 'user', rawContent: entry.message }, null, entry.attachments);
+       }
+       this.updateOutboxEntry(entry.id, { persisted: true });
+       this.markOutboxMessage(entry.id, null);
+       this.requestResponse({
+           message: entry.message,
+           attachmentIds: (entry.attachments || []).map(file => file.contentVersionId),
+           questionId: entry.id,
+           outboxId: entry.id
+       }, 0);
+   }
+
+   // Read the outbox again and take its oldest question if it is still waiting, so another instance on the page
+   // that shares it does not send the same question too. Storage calls are synchronous, so nothing runs in between.
+   claimOutboxHead() {
+       const [entry] = this.getOutbox();
+       if (!entry || entry.status !== OUTBOX_PENDING) return null;
+
+       this.updateOutboxEntry(entry.id, { status: OUTBOX_SENDING, claimedBy: this.instanceId, claimedAt: Date.now() });
+       const [claimed] = this.getOutbox();
+       return claimed?.id === entry.id && claimed.claimedBy === this.instanceId ? claimed : null;
+   }
+
+   // Leaving the page: questions this instance was still sending can no longer be answered here
+   releaseOutboxClaims() {
+       const entries = this.getOutbox();
+       if (entries.some(entry => entry.status === OUTBOX_SENDING && entry.claimedBy === this.instanceId)) {
+           this.setOutbox(entries.map(entry => (entry.status === OUTBOX_SENDING && entry.claimedBy === this.instanceId
+               ? { ...entry, status: OUTBOX_FAILED, claimedBy: null }
+               : entry)));
+       }
+   }
+
+   // Another instance is sending it; without word for longer than a response may take, that instance is gone
+   isClaimedElsewhere(entry) {
+       return entry.status === OUTBOX_SENDING && entry.claimedBy !== this.instanceId
+           && Date.now() - (entry.claimedAt || 0) < STREAM_TIMEOUT_MS;
+   }
+
+   // The question is done with (answered, stopped or refused): drop it and send the next one
+   sentFromOutbox(outboxId) {
+       if (outboxId) {
+           this.setOutbox(this.getOutbox().filter(entry => entry.id !== outboxId));
+       }
+       this.flushOutbox();
+   }
+
+   failOutboxEntry(id, reason) {
+       const question = this.messages.find(m => m.id === id);
+       if (!question) return;
+
+       const entries = this.getOutbox();
+       this.setOutbox(entries.some(entry => entry.id === id)
+           ? entries.map(entry => (entry.id === id ? { ...entry, status: OUTBOX_FAILED, reason } : entry))
+           : [...entries, {
+               id,
+               message: question.rawContent,
+               attachments: this.toAttachmentCards(question.attachments),
+               status: OUTBOX_FAILED,
+               reason,
+               persisted: true
+           }]);
+       this.markOutboxMessage(id, OUTBOX_FAILED, reason);
+       this.announce(formatLabel(LABELS.messageNotSent, reason));
+   }
+
+   // Resumed conversation: show what is still queued; questions caught mid-send are failed, the user decides,
+   // unless another instance on the page is sending them right now
+   restoreOutbox() {
+       const entries = this.getOutbox().map(entry => (entry.status === OUTBOX_SENDING && !this.isClaimedElsewhere(entry)
+           ? { ...entry, status: OUTBOX_FAILED, claimedBy: null }
+           : entry));
+       if (!entries.length) return;
+
+       this.setOutbox(entries);
+       entries.forEach(entry => {
+           if (this.messages.some(m => String(m.id) === String(entry.id))) {
+               this.messages = this.messages.map(m => (String(m.id) === String(entry.id) ? { ...m, id: entry.id } : m));
+               this.markOutboxMessage(entry.id, entry.status, entry.reason);
+           } else {
+               this.addMessage(entry.message, 'user', false, {
+                   id: entry.id,
+                   attachments: entry.attachments,
+                   persist: false,
+                   outboxStatus: entry.status,
+                   outboxReason: entry.reason
+               });
+           }
+       });
+       this.flushOutbox();
+   }
+
+   // Back online: everything queued goes out again, in order
+   handleOnline() {
+       this.retryOutbox();
+   }
+
+   handleRetryQueued() {
+       if (this.isLoading) return;
+       this.retryOutbox();
+   }
+
+   retryOutbox() {
+       const entries = this.getOutbox();
+       if (!entries.length) return;
+
+       this.setOutbox(entries.map(entry => (entry.status === OUTBOX_FAILED ? { ...entry, status: OUTBOX_PENDING, reason: null } : entry)));
+       entries.forEach(entry => {
+           if (entry.status === OUTBOX_FAILED) this.markOutboxMessage(entry.id, OUTBOX_PENDING);
+       });
+       this.flushOutbox();
+   }
+
+   // Give up on a question that was not sent: it leaves the screen, the outbox and, if it was stored, the history
+   async handleDiscardQueued(event) {
+       const id = this.messages.find(m => String(m.id) === event.currentTarget.dataset.id)?.id;
+       const entry = this.getOutbox().find(item => item.id === id);
+       if (!entry) return;
+
+       this.setOutbox(this.getOutbox().filter(item => item.id !== id));
+       this.messages = this.messages.filter(m => m.id !== id);
+       if (entry.persisted) {
+           truncateConversation({ conversationId: this.conversationId, messageKey: String(id) }).catch(error => {
+               console.error('Failed to remove message:', error);
+           });
+       }
+       this.focusInput();
+       this.flushOutbox();
+   }
+
+   /* ============================================== QUOTA ============================================== */
+   async loadQuota() {
+       try {
+           this.applyQuota(await getQuotaStatus());
+       } catch (error) {
+           console.error('Failed to load message quota:', error);
+       }
+   }
+
+   applyQuota(quota) {
+       this.quota = quota || null;
+       if (quota?.retryAfterSeconds > 0) {
+           this.startCooldown(quota.retryAfterSeconds);
+       }
+   }
+
+   // Count down until the quota lets the user send again, then fetch the fresh quota
+   startCooldown(seconds) {
+       if (!(seconds > 0)) return;
+
+       this.cooldownUntil = Date.now() + seconds * 1000;
+       this.cooldownSeconds = seconds;
+       if (this.cooldownTimer) return;
+
+       this.cooldownTimer = setInterval(() => {
+           this.cooldownSeconds = Math.max(Math.ceil((this.cooldownUntil - Date.now()) / 1000), 0);
+           if (this.cooldownSeconds === 0) {
+               clearInterval(this.cooldownTimer);
+               this.cooldownTimer = null;
+               this.loadQuota();
+               this.flushOutbox();
+           }
+       }, 1000);
+   }
+
+   clearStreamTimers() {
+       clearTimeout(this.pollTimer);
+       clearTimeout(this.revealTimer);
+       clearTimeout(this.retryTimer);
+       this.pollTimer = null;
+       this.revealTimer = null;
+       this.retryTimer = null;
+   }
+
+   /* ============================================== ACTIONS ============================================== */
+
+   handleToggleSteps(event) {
+       const msgId = event.currentTarget.dataset.id;
 
        this.messages = this.messages.map(msg => {
            if (msg.id == msgId) {
-               return {
-                   ...msg,
-                   showFeedbackInput: false,
-                   feedbackType: null,
-                   feedbackTypeText: '',
-                   feedbackComment: '',
-                   feedbackPlaceholder: '',
-                   feedbackRows: 2
-               };
+               return { ...msg, ...this.getStepsToggleState(!msg.showSteps) };
            }
            return msg;
        });
    }
 
-   async submitBubbleFeedback(event) {
+   handleFeedback(event) {
        const msgId = event.currentTarget.dataset.id;
+       const feedback = event.currentTarget.dataset.feedback; // 'positive' or 'negative'
        const msg = this.messages.find(m => m.id == msgId);
+       if (!msg) return;
+
+       // Clicking the thumb that is already selected edits that feedback; the other one changes it
+       const isNegative = feedback === 'negative';
+       const saved = msg.feedback && msg.feedback.type === feedback ? msg.feedback : null;
+       const feedbackConfig = {
+           showFeedbackInput: true,
+           feedbackType: feedback,
+           feedbackTypeText: isNegative ? `👎 ${LABELS.feedbackNegativeTitle}` : `👍 ${LABELS.feedbackPositiveTitle}`,
+           isNegativeFeedback: isNegative,
+           canRetractFeedback: !!msg.feedback,
+           feedbackComment: saved ? saved.comment || '' : '',
+           feedbackReasons: saved ? saved.reasons || [] : [],
+           feedbackCorrectAnswer: saved ? saved.correctAnswer || '' : '',
+           feedbackRows: isNegative ? 4 : 2,
+           feedbackPlaceholder: isNegative ? LABELS.feedbackNegativePlaceholder : LABELS.feedbackPositivePlaceholder
+       };
+
+       // Show feedback input inside the specific message bubble
+       this.messages = this.messages.map(m => {
+           if (m.id == msgId) {
+               return { ...m, ...feedbackConfig };
+           }
+           return m;
+       });
+
+       // Auto-focus the feedback input
+       Promise.resolve().then(() => {
+           const textarea = this.template.querySelector(`textarea[data-id="${msgId}"]`);
+           if (textarea) {
+               textarea.focus();
+           }
+       });
+   }
+
+   handleBubbleFeedbackInput(event) {
+       const msgId = event.currentTarget.dataset.id;
+       const field = event.currentTarget.dataset.field; // feedbackComment or feedbackCorrectAnswer
+       const value = event.target.value;
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id == msgId) {
+               return { ...msg, [field]: value };
+           }
+           return msg;
+       });
+   }
 
+   handleFeedbackReasonsChange(event) {
+       const msgId = event.currentTarget.dataset.id;
+       const reasons = event.detail.value;
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id == msgId) {
+               return { ...msg, feedbackReasons: reasons };
+           }
+           return msg;
+       });
+   }
+
+   // Enter adds a line to the comment; Ctrl/Cmd+Enter submits, Escape cancels
+   handleBubbleFeedbackKeyDown(event) {
+       if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+           event.preventDefault();
+           this.submitBubbleFeedback(event);
+       } else if (event.key === 'Escape') {
+           event.preventDefault();
+           this.cancelBubbleFeedback(event);
+       }
+   }
+
+   cancelBubbleFeedback(event) {
+       const msgId = event.currentTarget.dataset.id;
+       const msg = this.messages.find(m => m.id == msgId);
+
+       this.messages = this.messages.map(m => {
+           if (m.id == msgId) {
+               return { ...m, ...CLOSED_FEEDBACK_EDITOR };
+           }
+           return m;
+       });
+       this.focusFeedbackButton(msgId, msg?.feedbackType);
+   }
+
+   // The editor is gone once feedback is sent or cancelled: focus returns to the thumb that opened it
+   focusFeedbackButton(msgId, feedbackType) {
+       if (!feedbackType) return;
+       this.focusElement(`lightning-button-icon[data-id="${msgId}"][data-feedback="${feedbackType}"]`);
+   }
+
+   getFeedbackState(feedback) {
+       const liked = feedback?.type === 'positive';
+       const disliked = feedback?.type === 'negative';
+       return {
+           feedback: feedback || null,
+           likeVariant: liked ? 'brand' : 'border',
+           dislikeVariant: disliked ? 'brand' : 'border',
+           likeLabel: liked ? LABELS.likeSelected : LABELS.likeAnswer,
+           dislikeLabel: disliked ? LABELS.dislikeSelected : LABELS.dislikeAnswer
+       };
+   }
+
+   submitBubbleFeedback(event) {
+       const msg = this.messages.find(m => m.id == event.currentTarget.dataset.id);
        if (!msg || !msg.feedbackType) return;
 
+       const isNegative = msg.feedbackType === 'negative';
+       this.sendFeedback(msg, {
+           type: msg.feedbackType,
+           comment: msg.feedbackComment || '',
+           reasons: isNegative ? msg.feedbackReasons : [],
+           correctAnswer: isNegative ? msg.feedbackCorrectAnswer || '' : ''
+       });
+   }
+
+   retractBubbleFeedback(event) {
+       const msg = this.messages.find(m => m.id == event.currentTarget.dataset.id);
+       if (!msg || !msg.feedback) return;
+
+       this.sendFeedback(msg, { type: 'retracted', comment: '', reasons: [], correctAnswer: '' });
+   }
+
+   async sendFeedback(msg, feedback) {
+       const msgId = msg.id;
+       const editorType = msg.feedbackType;
+       const isRetraction = feedback.type === 'retracted';
+
        // Set submitting state
        this.messages = this.messages.map(m => {
            if (m.id == msgId) {
@@ -519,90 +1759,268 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
            return m;
        });
 
+       let saved = false;
        try {
            const result = await submitChatFeedback({
                messageId: msgId,
-               userFeedback: msg.feedbackType,
+               userFeedback: feedback.type,
                conversationId: this.conversationId,
-               comment: msg.feedbackComment || ''
+               comment: feedback.comment,
+               reasons: feedback.reasons,
+               correctAnswer: feedback.correctAnswer
            });
 
-           if (result.success) {
-               // Hide feedback input and show feedback was given
-               this.messages = this.messages.map(m => {
-                   if (m.id == msgId) {
-                       return {
-                           ...m,
-                           showFeedbackInput: false,
-                           feedbackGiven: 'brand',
-                           isSubmittingFeedback: false,
-                           feedbackComment: '',
-                           feedbackType: null,
-                           feedbackTypeText: '',
-                           feedbackPlaceholder: '',
-                           feedbackRows: 2
-                       };
-                   }
-                   return m;
-               });
+           if (result.success) {
+               saved = true;
+
+               // Add system message based on backend response
+               if (result.status === 'queued') {
+                   this.addMessage(`🕓 ${LABELS.feedbackQueued}`, 'system');
+               } else if (result.status === 'ok' && isRetraction) {
+                   this.addMessage(`✅ ${LABELS.feedbackRemoved}`, 'system');
+               } else if (result.status === 'ok') {
+                   const feedbackText = result.user_feedback === 'positive' ? `👍 ${LABELS.feedbackPositive}` : `👎 ${LABELS.feedbackNegative}`;
+                   const reasonText = feedback.reasons.length
+                       ? ` [${feedback.reasons.map(reason => FEEDBACK_REASON_OPTIONS.find(option => option.value === reason)?.label || reason).join(', ')}]`
+                       : '';
+                   const commentText = result.comment ? ` (${result.comment})` : '';
+                   this.addMessage(`✅ ${formatLabel(LABELS.feedbackReceived, feedbackText)}${reasonText}${commentText}`, 'system');
+               } else {
+                   this.addMessage(`❌ ${formatLabel(LABELS.feedbackFailed, result.user_feedback)}`, 'system');
+               }
+
+               this.showToast(LABELS.feedbackThanks, isRetraction ? LABELS.feedbackRemoved : LABELS.feedbackSubmitted, 'success');
+           } else {
+               const errorText = ERROR_MESSAGES[result.errorCode] || result.message;
+               this.addMessage(`❌ ${formatLabel(LABELS.feedbackSendError, errorText)}`, 'system');
+               this.showToast(LABELS.errorTitle, errorText || LABELS.feedbackSubmitFailed, 'error');
+           }
+
+       } catch (err) {
+           this.addMessage(`❌ ${formatLabel(LABELS.feedbackSendError, err.body?.message || err.message)}`, 'system');
+           this.showToast(LABELS.errorTitle, LABELS.feedbackSubmitFailed, 'error');
+       } finally {
+           // Close the editor; the thumbs show what was saved (or what was there before, if it failed)
+           this.messages = this.messages.map(m => {
+               if (m.id == msgId) {
+                   return {
+                       ...m,
+                       ...CLOSED_FEEDBACK_EDITOR,
+                       ...(saved ? this.getFeedbackState(isRetraction ? null : feedback) : {})
+                   };
+               }
+               return m;
+           });
+           this.focusFeedbackButton(msgId, editorType);
+       }
+   }
+
+   get feedbackReasonOptions() {
+       return FEEDBACK_REASON_OPTIONS;
+   }
+
+   /* ============================================== REGENERATE ============================================== */
+   // Ask the question behind the latest answer again; the new answer is added to that bubble as another version
+   handleRegenerate(event) {
+       if (this.isLoading) return;
+
+       const index = this.messages.findIndex(m => m.id == event.currentTarget.dataset.id);
+       if (index === -1) return;
+
+       const answer = this.messages[index];
+       const question = this.messages.slice(0, index).reverse().find(m => m.role === 'user');
+       if (!question) return;
+
+       this.requestResponse({
+           message: question.rawContent,
+           attachmentIds: question.attachments.map(file => file.contentVersionId),
+           questionId: question.id,
+           regenerateOf: answer.versionGroupId
+       }, 0, LABELS.regenerating);
+   }
+
+   handleShowVersion(event) {
+       const msgId = event.currentTarget.dataset.id;
+       const step = Number(event.currentTarget.dataset.step);
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id != msgId) return msg;
+
+           const versions = this.getVersions(msg);
+           const index = msg.versionIndex + step;
+           if (index < 0 || index >= versions.length) return msg;
+
+           return { ...msg, ...versions[index], versions, ...this.getVersionState(index, versions.length), ...CLOSED_FEEDBACK_EDITOR, ...this.getStepsToggleState(false) };
+       });
+   }
+
+   // All versions of an answer, with the one on screen brought up to date (feedback may have changed since)
+   getVersions(msg) {
+       const current = this.snapshotVersion(msg);
+       if (!msg.versions.length) return [current];
+       return msg.versions.map((version, index) => (index === msg.versionIndex ? current : version));
+   }
+
+   snapshotVersion(msg) {
+       const version = {};
+       VERSION_FIELDS.forEach(field => {
+           version[field] = msg[field];
+       });
+       return version;
+   }
+
+   getVersionState(index, count) {
+       return {
+           versionIndex: index,
+           hasVersions: count > 1,
+           versionLabel: formatLabel(LABELS.versionLabel, index + 1, count),
+           isFirstVersion: index === 0,
+           isLastVersion: index === count - 1
+       };
+   }
+
+   /* ============================================== EDIT AND RESEND ============================================== */
+   // Edit the latest question in its bubble; resending it replaces that question and everything after it
+   handleEditMessage(event) {
+       if (this.isLoading) return;
+       const msgId = event.currentTarget.dataset.id;
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id == msgId) {
+               return { ...msg, isEditing: true, editText: msg.rawContent };
+           }
+           return msg;
+       });
+
+       Promise.resolve().then(() => {
+           const textarea = this.template.querySelector(`textarea.message-edit-box[data-id="${msgId}"]`);
+           if (textarea) {
+               textarea.focus();
+           }
+       });
+   }
+
+   handleEditInput(event) {
+       const msgId = event.currentTarget.dataset.id;
+       const value = event.target.value;
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id == msgId) {
+               return { ...msg, editText: value };
+           }
+           return msg;
+       });
+   }
+
+   // Enter resends (Shift+Enter adds a line), Escape cancels
+   handleEditKeyDown(event) {
+       if (event.key === 'Enter' && !event.shiftKey) {
+           event.preventDefault();
+           this.submitEditMessage(event);
+       } else if (event.key === 'Escape') {
+           event.preventDefault();
+           this.cancelEditMessage(event);
+       }
+   }
+
+   cancelEditMessage(event) {
+       const msgId = event.currentTarget.dataset.id;
+
+       this.messages = this.messages.map(msg => {
+           if (msg.id == msgId) {
+               return { ...msg, ...CLOSED_MESSAGE_EDITOR };
+           }
+           return msg;
+       });
+       this.focusElement(`.message-edit-action lightning-button-icon[data-id="${msgId}"]`);
+   }
+
+   async submitEditMessage(event) {
+       const index = this.messages.findIndex(m => m.id == event.currentTarget.dataset.id);
+       const msg = this.messages[index];
+       const text = msg?.editText?.trim();
+       if (!text || this.isLoading) return;
+
+       // Drop the stored turns first, so a reload shows the conversation as it now stands
+       try {
+           await truncateConversation({ conversationId: this.conversationId, messageKey: String(msg.id) });
+       } catch (error) {
+           console.error('Failed to edit message:', error);
+           this.showToast(LABELS.errorTitle, error.body?.message || LABELS.editFailed, 'error');
+           return;
+       }
+
+       const attachments = this.toAttachmentCards(msg.attachments);
+       this.setOutbox(this.getOutbox().filter(entry => entry.id !== msg.id));
+       this.messages = this.messages.slice(0, index);
+       this.sendQuestion(text, attachments);
+       this.focusInput();
+   }
+
+   /* ============================================== PROMPT RECALL ============================================== */
+   // Questions sent in this conversation, oldest first
+   get sentPrompts() {
+       return this.messages.filter(m => m.role === 'user').map(m => m.rawContent);
+   }
+
+   // Up/Down step through sent prompts from an empty composer, or one still showing a recalled prompt
+   // (within a multi-line prompt they only do so from its first or last line)
+   canRecallPrompt(event) {
+       if (!this.userInput) return true;
+       if (this.recallIndex === null || this.userInput !== this.sentPrompts[this.recallIndex]) return false;
 
-               // Add system message based on backend response
-               if (result.status === 'ok') {
-                   const feedbackText = result.user_feedback === 'positive' ? '👍 positive' : '👎 negative';
-                   const commentText = result.comment ? ` (${result.comment})` : '';
-                   this.addMessage(`✅ Feedback received: ${feedbackText}${commentText}`, 'system');
-               } else {
-                   this.addMessage(`❌ Feedback failed: ${result.user_feedback}`, 'system');
-               }
+       const { selectionStart, selectionEnd, value } = event.target;
+       return event.key === 'ArrowUp'
+           ? !value.substring(0, selectionStart).includes('\n')
+           : !value.substring(selectionEnd).includes('\n');
+   }
 
-               this.showToast('Thank you', 'Feedback submitted successfully', 'success');
-           } else {
-               this.addMessage(`❌ Error sending feedback: ${result.message}`, 'system');
-               this.showToast('Error', result.message || 'Could not submit feedback', 'error');
-           }
+   recallPrompt(direction) {
+       const prompts = this.sentPrompts;
+       const index = (this.recallIndex === null ? prompts.length : this.recallIndex) + direction;
+       if (index < 0) return;
 
-       } catch (err) {
-           this.addMessage(`❌ Error sending feedback: ${err.body?.message || err.message}`, 'system');
-           this.showToast('Error', 'Could not submit feedback', 'error');
-       } finally {
-           // Reset submitting state and clear all feedback fields
-           this.messages = this.messages.map(m => {
-               if (m.id == msgId) {
-                   return {
-                       ...m,
-                       isSubmittingFeedback: false,
-                       showFeedbackInput: false,
-                       feedbackComment: '',
-                       feedbackType: null,
-                       feedbackTypeText: '',
-                       feedbackPlaceholder: '',
-                       feedbackRows: 2
-                   };
-               }
-               return m;
-           });
+       // Down past the latest prompt clears the composer again
+       if (index >= prompts.length) {
+           this.recallIndex = null;
+           this.userInput = '';
+           return;
        }
+
+       this.recallIndex = index;
+       this.userInput = prompts[index];
+
+       // Caret to the end, so the recalled prompt can be amended straight away
+       Promise.resolve().then(() => {
+           const input = this.template.querySelector('.input-box');
+           if (input) {
+               input.setSelectionRange(input.value.length, input.value.length);
+           }
+       });
    }
 
    async handleNewSession() {
+       this.handleStop();
        this.messages = [];
        this.sessionId = Date.now().toString();
 
        // Generate new conversation ID
        try {
            this.conversationId = await generateConversationId();
-           this.showToast('New Session', 'Started new conversation session', 'success');
+           this.showToast(LABELS.newSession, LABELS.newSessionStarted, 'success');
        } catch (error) {
            console.error('Failed to generate new conversation ID:', error);
            this.conversationId = `conv_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-           this.showToast('New Session', 'Started new conversation session', 'success');
+           this.showToast(LABELS.newSession, LABELS.newSessionStarted, 'success');
        }
+       this.rememberConversation();
    }
 
    async handleClear() {
-       if (confirm('Clear conversation history?')) {
+       if (confirm(LABELS.clearConfirm)) {
+           this.handleStop();
            this.messages = [];
-           this.addSystemMessage('Conversation cleared.');
+           this.addSystemMessage(LABELS.conversationCleared);
            this.sessionId = Date.now().toString();
 
            // Generate new conversation ID
@@ -612,9 +2030,497 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
                console.error('Failed to generate new conversation ID:', error);
                this.conversationId = `conv_${Date.now()}_${Math.random().toString(36).substring(7)}`;
            }
+           this.rememberConversation();
+       }
+   }
+
+   /* ============================================== EXPORT AND SHARE ============================================== */
+   get canExport() {
+       return this.transcriptMessages.length > 0 && !this.isExporting;
+   }
+
+   get exportDisabled() {
+       return !this.canExport;
+   }
+
+   // Questions and answers only: no typing indicator, system notices or failed replies
+   get transcriptMessages() {
+       return this.messages.filter(m => (m.role === 'user' || m.role === 'assistant') && !m.isTyping && !m.isError);
+   }
+
+   get transcriptTitle() {
+       return formatLabel(LABELS.transcriptTitle, this.assistantName);
+   }
+
+   get logTypeOptions() {
+       return LOG_TYPE_OPTIONS;
+   }
+
+   get logObjectOptions() {
+       return LOG_OBJECT_OPTIONS;
+   }
+
+   get logTargetOptions() {
+       return [
+           { label: LABELS.logTargetCurrent, value: 'current' },
+           { label: LABELS.logTargetOther, value: 'other' }
+       ];
+   }
+
+   get logObjectLocked() {
+       return this.logType === 'CaseComment';
+   }
+
+   get logTargetValue() {
+       return this.logToCurrentRecord ? 'current' : 'other';
+   }
+
+   get showLogRecordPicker() {
+       return !this.logToCurrentRecord || !this.hasRecordContext;
+   }
+
+   get logRecordId() {
+       return this.showLogRecordPicker ? this.logTargetId : this.recordId;
+   }
+
+   get logDisabled() {
+       return this.isLogging || !this.logRecordId;
+   }
+
+   buildTranscriptText(format) {
+       const entries = this.transcriptMessages.map(message => ({
+           speaker: message.role === 'user' ? LABELS.transcriptYou : this.assistantName,
+           text: message.rawContent,
+           createdAt: message.createdAt,
+           attachments: message.attachments.map(file => file.title),
+           sources: message.role === 'assistant' ? this.getMessageSources(message.rawContent) : []
+       }));
+
+       return buildTranscript(entries, {
+           format,
+           title: this.transcriptTitle,
+           conversationId: this.conversationId
+       });
+   }
+
+   // The citations in an answer that resolved to a record, as absolute links
+   getMessageSources(text) {
+       const sources = [];
+       extractCitations(text, this.citationGrammar).forEach(query => {
+           query.refs.forEach(ref => {
+               const card = this.citationCards.get(`${query.key}|${ref}`);
+               const url = card && this.getRecordUrl(card);
+               if (url) {
+                   sources.push({ ref, title: card.title, url });
+               }
+           });
+       });
+       return sources;
+   }
+
+   // Absolute, for transcripts and the clipboard; the generated URL may be relative to the site
+   getRecordUrl(card) {
+       return card.url ? new URL(card.url, window.location.href).href : null;
+   }
+
+   async handleExportSelect(event) {
+       const action = event.detail.value;
+       if (action === 'log') {
+           this.showLogPanel = true;
+           this.showHistory = false;
+           this.focusElement('.log-panel .panel-close');
+           return;
+       }
+
+       const fileName = `${this.transcriptTitle.replace(/[^\w-]+/g, '-')}-${this.conversationId}`;
+       if (action === 'markdown') {
+           this.downloadFile(`${fileName}.md`, this.buildTranscriptText('markdown'), 'text/markdown');
+       } else if (action === 'text') {
+           this.downloadFile(`${fileName}.txt`, this.buildTranscriptText('text'), 'text/plain');
+       } else if (action === 'pdf') {
+           await this.exportPdf();
+       }
+   }
+
+   // The download link lives in the template (Lightning Web Security keeps components out of document.body);
+   // renderedCallback clicks it once it points at the new file
+   downloadFile(fileName, content, mimeType) {
+       this.revokeDownload();
+       this.downloadUrl = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+       this.downloadName = fileName;
+       this.downloadPending = true;
+   }
+
+   startPendingDownload() {
+       const link = this.downloadPending && this.template.querySelector('.download-link');
+       if (link) {
+           this.downloadPending = false;
+           link.click();
+       }
+   }
+
+   revokeDownload() {
+       if (this.downloadUrl) {
+           URL.revokeObjectURL(this.downloadUrl);
+           this.downloadUrl = null;
+       }
+   }
+
+   async exportPdf() {
+       this.isExporting = true;
+       try {
+           const contentDocumentId = await exportConversationPdf({
+               title: this.transcriptTitle,
+               transcript: this.buildTranscriptText('text'),
+               recordId: this.recordId
+           });
+           this.previewFile(contentDocumentId);
+       } catch (error) {
+           console.error('Failed to export PDF:', error);
+           this.showToast(LABELS.exportFailedTitle, parseError(error, LABELS.exportFailed).message, 'error');
+       } finally {
+           this.isExporting = false;
+       }
+   }
+
+   handleCloseLogPanel() {
+       this.showLogPanel = false;
+       this.focusElement('.export-menu');
+   }
+
+   handleLogTypeChange(event) {
+       this.logType = event.detail.value;
+       if (this.logType === 'CaseComment') {
+           this.logObjectApiName = 'Case';
+           this.logTargetId = null;
+       }
+   }
+
+   handleLogTargetChange(event) {
+       this.logToCurrentRecord = event.detail.value === 'current';
+   }
+
+   handleLogObjectChange(event) {
+       this.logObjectApiName = event.detail.value;
+       this.logTargetId = null;
+   }
+
+   handleLogRecordChange(event) {
+       this.logTargetId = event.detail.recordId || null;
+   }
+
+   async handleLogToRecord() {
+       this.isLogging = true;
+       try {
+           const result = await logConversationToRecord({
+               recordId: this.logRecordId,
+               logType: this.logType,
+               title: this.transcriptTitle,
+               transcript: this.buildTranscriptText('text')
+           });
+           const label = LOG_TYPE_OPTIONS.find(option => option.value === result.logType).label;
+           this.showToast(LABELS.loggedTitle, formatLabel(LABELS.logged, label), 'success');
+           this.showLogPanel = false;
+       } catch (error) {
+           console.error('Failed to log conversation:', error);
+           this.showToast(LABELS.logFailedTitle, parseError(error, LABELS.logFailed).message, 'error');
+       } finally {
+           this.isLogging = false;
+       }
+   }
+
+   // Copy one answer with its formatting (for emails and case replies), plain text as the fallback
+   async handleCopyAnswer(event) {
+       const message = this.messages.find(m => String(m.id) === event.currentTarget.dataset.id);
+       if (!message) return;
+
+       const plainText = markdownToText(message.rawContent);
+       const html = toClipboardHtml(sanitizeHtml(message.content), key => {
+           const card = this.citationCards.get(key);
+           return card ? this.getRecordUrl(card) : null;
+       });
+
+       try {
+           if (navigator.clipboard.write && typeof ClipboardItem !== 'undefined') {
+               await navigator.clipboard.write([new ClipboardItem({
+                   'text/html': new Blob([html], { type: 'text/html' }),
+                   'text/plain': new Blob([plainText], { type: 'text/plain' })
+               })]);
+           } else {
+               await navigator.clipboard.writeText(plainText);
+           }
+           this.showToast(LABELS.copied, LABELS.answerCopied, 'success');
+       } catch (error) {
+           console.error('Copy failed:', error);
+           this.showToast(LABELS.errorTitle, LABELS.copyFailed, 'error');
+       }
+   }
+
+   /* ============================================== CONVERSATION HISTORY ============================================== */
+   async handleToggleHistory() {
+       this.showHistory = !this.showHistory;
+       if (!this.showHistory) {
+           this.focusElement('.history-button');
+           return;
+       }
+       this.showLogPanel = false;
+       this.focusElement('.history-panel .panel-close');
+
+       this.isHistoryLoading = true;
+       try {
+           const conversations = await getConversationHistory({ profileName: this.assistantProfile });
+           this.historyItems = conversations.map(conversation => ({
+               ...conversation,
+               itemClass: conversation.conversationId === this.conversationId
+                   ? 'history-item history-item_active'
+                   : 'history-item'
+           }));
+       } catch (error) {
+           console.error('Failed to load conversation history:', error);
+           this.showToast(LABELS.errorTitle, error.body?.message || LABELS.historyLoadFailed, 'error');
+       } finally {
+           this.isHistoryLoading = false;
+       }
+   }
+
+   async handleOpenConversation(event) {
+       const conversationId = event.currentTarget.dataset.conversationId;
+       this.showHistory = false;
+       if (!conversationId || conversationId === this.conversationId) return;
+
+       this.handleStop();
+       await this.loadConversation(conversationId);
+   }
+
+   async loadConversation(conversationId) {
+       try {
+           const storedMessages = await getConversationMessages({ conversationId });
+
+           this.messages = [];
+           this.conversationId = conversationId;
+           this.rememberConversation();
+
+           // Re-render in order; these turns are already stored so don't save them again
+           for (const stored of storedMessages) {
+               await this.addMessage(stored.content, stored.role, false, {
+                   id: stored.id,
+                   steps: stored.steps,
+                   attachments: stored.attachments,
+                   createdAt: stored.createdDate,
+                   regeneratedFrom: stored.regeneratedFrom,
+                   feedback: stored.feedback ? {
+                       type: stored.feedback,
+                       comment: stored.feedbackComment || '',
+                       reasons: stored.feedbackReasons || [],
+                       correctAnswer: stored.correctAnswer || ''
+                   } : null,
+                   persist: false
+               });
+           }
+           this.restoreOutbox();
+           return true;
+       } catch (error) {
+           console.error('Failed to load conversation:', error);
+           this.showToast(LABELS.errorTitle, error.body?.message || LABELS.conversationLoadFailed, 'error');
+           return false;
+       }
+   }
+
+   get hasHistoryItems() {
+       return this.historyItems.length > 0;
+   }
+
+   // Instances for different assistant profiles keep their own conversations
+   storageKey(key) {
+       return `${key}.${this.assistantProfile || DEFAULT_PROFILE_NAME}`;
+   }
+
+   rememberConversation() {
+       try {
+           sessionStorage.setItem(this.storageKey(CONVERSATION_STORAGE_KEY), this.conversationId);
+       } catch (error) {
+           console.error('Failed to remember conversation:', error);
+       }
+   }
+
+   getSavedConversationId() {
+       try {
+           return sessionStorage.getItem(this.storageKey(CONVERSATION_STORAGE_KEY));
+       } catch (error) {
+           return null;
+       }
+   }
+
+   /* ============================================== UTILITY BAR AND DOCKED LAYOUT ============================================== */
+   // Undefined unless the component is a utility bar item
+   @wire(EnclosingUtilityId)
+   wiredUtilityId(utilityId) {
+       if (!utilityId || utilityId === this.utilityId) return;
+       this.utilityId = utilityId;
+
+       getUtilityInfo(utilityId)
+           .then(info => {
+               this.utilityLabel = info.utilityLabel;
+               this.utilityPanelVisible = info.utilityVisible;
+           })
+           .catch(error => console.error('Failed to read utility item:', error));
+       onUtilityClick(utilityId, event => this.handleUtilityClick(event))
+           .catch(error => console.error('Failed to listen for utility clicks:', error));
+   }
+
+   handleUtilityClick(event) {
+       this.utilityPanelVisible = event.panelVisible;
+       if (this.utilityPanelVisible) {
+           this.clearUnread();
+           this.focusInput();
+       }
+   }
+
+   handleMinimize() {
+       this.isMinimized = true;
+       this.rememberMinimized();
+       this.focusElement('.assistant-launcher');
+   }
+
+   handleExpand() {
+       this.isMinimized = false;
+       this.rememberMinimized();
+       this.clearUnread();
+       this.focusInput();
+       this.scrollToBottom();
+   }
+
+   // A reply (or final error) arrived; count it if nobody can see it yet
+   noteReply() {
+       if (!this.isCollapsed) return;
+
+       this.unreadCount += 1;
+       if (this.isInUtilityBar) {
+           this.updateUtilityItem(true, formatLabel(LABELS.unreadUtilityLabel, this.utilityLabel || this.assistantName, this.unreadCount));
+       }
+   }
+
+   clearUnread() {
+       if (!this.unreadCount) return;
+
+       this.unreadCount = 0;
+       if (this.isInUtilityBar) {
+           this.updateUtilityItem(false, this.utilityLabel || this.assistantName);
+       }
+   }
+
+   updateUtilityItem(highlighted, label) {
+       Promise.all([
+           setUtilityHighlighted(this.utilityId, { highlighted }),
+           setUtilityLabel(this.utilityId, label)
+       ]).catch(error => console.error('Failed to update utility item:', error));
+   }
+
+   rememberMinimized() {
+       try {
+           sessionStorage.setItem(MINIMIZED_STORAGE_KEY, String(this.isMinimized));
+       } catch (error) {
+           console.error('Failed to remember minimized state:', error);
+       }
+   }
+
+   getSavedMinimized() {
+       try {
+           return sessionStorage.getItem(MINIMIZED_STORAGE_KEY) === 'true';
+       } catch (error) {
+           return false;
+       }
+   }
+
+   get isInUtilityBar() {
+       return Boolean(this.utilityId);
+   }
+
+   get isDocked() {
+       return !this.isInUtilityBar && this.displayMode === DISPLAY_MODE_DOCKED;
+   }
+
+   // Utility bar and docked panels are narrow, so they get the compact header
+   get isCompact() {
+       return this.isInUtilityBar || this.isDocked;
+   }
+
+   get isCollapsed() {
+       return this.isInUtilityBar ? !this.utilityPanelVisible : this.isDocked && this.isMinimized;
+   }
+
+   get showLauncher() {
+       return this.isDocked && this.isMinimized;
+   }
+
+   get hasUnread() {
+       return this.unreadCount > 0;
+   }
+
+   get unreadBadgeText() {
+       return this.unreadCount > 9 ? '9+' : String(this.unreadCount);
+   }
+
+   get launcherLabel() {
+       const label = formatLabel(LABELS.openAssistant, this.assistantName);
+       return this.hasUnread ? `${label}, ${formatLabel(LABELS.unreadReplies, this.unreadCount)}` : label;
+   }
+
+   /* ============================================== ACCESSIBILITY ============================================== */
+   // Up/Down (or Home/End) move between messages; Tab goes on into the focused message's actions
+   handleMessageKeyDown(event) {
+       if (event.target !== event.currentTarget) return;
+
+       const bubbles = Array.from(this.template.querySelectorAll('[data-bubble-id]'));
+       const index = bubbles.indexOf(event.currentTarget);
+       let next;
+       if (event.key === 'ArrowUp') {
+           next = Math.max(index - 1, 0);
+       } else if (event.key === 'ArrowDown') {
+           next = Math.min(index + 1, bubbles.length - 1);
+       } else if (event.key === 'Home') {
+           next = 0;
+       } else if (event.key === 'End') {
+           next = bubbles.length - 1;
+       } else {
+           return;
+       }
+
+       event.preventDefault();
+       bubbles[next].focus();
+   }
+
+   // Whichever message holds focus (or one of its actions) becomes the list's tab stop
+   handleMessageFocus(event) {
+       const bubbleId = event.currentTarget.dataset.bubbleId;
+       const msg = this.messages.find(m => String(m.id) === bubbleId);
+       if (msg && msg.id !== this.activeMessageId) {
+           this.activeMessageId = msg.id;
        }
    }
 
+   // Cleared first so that the same text is announced again
+   announce(text) {
+       this.liveMessage = '';
+       setTimeout(() => {
+           this.liveMessage = text;
+       }, 100);
+   }
+
+   focusInput() {
+       this.focusElement('.input-box');
+   }
+
+   // After the next render, as the element may only just have appeared
+   focusElement(selector) {
+       Promise.resolve().then(() => {
+           const element = this.template.querySelector(selector);
+           if (element) {
+               element.focus();
+           }
+       });
+   }
+
    /* ============================================== SCROLLING (100% WORKING) ============================================== */
    scrollToBottom() {
        // This is the ONLY method that works reliably in all Salesforce orgs (2024–2025)
@@ -626,6 +2532,123 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        });
    }
 
+   /* ============================================== ACTION CARDS ============================================== */
+   // action is an AssistantActions.normalize map; status is proposed, confirming, running, done or failed
+   decorateAction(action, status, result = {}) {
+       const type = action.type;
+       let buttonLabel = LABELS.actionOpen;
+       if (type === 'create_record') {
+           buttonLabel = formatLabel(LABELS.actionCreate, action.objectLabel);
+       } else if (type === 'update_record') {
+           buttonLabel = formatLabel(LABELS.actionUpdate, action.objectLabel);
+       } else if (type === 'draft_email') {
+           buttonLabel = LABELS.actionDraftEmail;
+       }
+       const summary = (action.summary || []).map((field, index) => ({ key: `${action.id}-${index}`, label: field.label, value: field.value }));
+
+       return {
+           id: action.id,
+           source: action,
+           type,
+           title: action.label || buttonLabel,
+           buttonLabel,
+           description: action.description,
+           iconName: ACTION_ICONS[type] || 'utility:record',
+           summary,
+           hasSummary: summary.length > 0,
+           isProposed: status === 'proposed',
+           isConfirming: status === 'confirming',
+           isRunning: status === 'running',
+           isDone: status === 'done',
+           isFailed: status === 'failed',
+           // Opening a record changes nothing, so it needs no confirmation and has nothing further to view
+           needsConfirmation: type !== ACTION_OPEN_RECORD,
+           canViewResult: status === 'done' && type !== ACTION_OPEN_RECORD && !!result.recordId,
+           resultRecordId: result.recordId || null,
+           errorText: status === 'failed' ? formatLabel(LABELS.actionFailed, result.message || LABELS.errorUnknown) : ''
+       };
+   }
+
+   findAction(messageId, actionId) {
+       const msg = this.messages.find(m => String(m.id) === messageId);
+       return msg?.actions?.find(action => action.id === actionId);
+   }
+
+   updateAction(messageId, actionId, status, result) {
+       this.messages = this.messages.map(m => {
+           if (String(m.id) !== messageId) return m;
+           return { ...m, actions: m.actions.map(action => (action.id === actionId ? this.decorateAction(action.source, status, result) : action)) };
+       });
+   }
+
+   handleActionStart(event) {
+       const { messageId, actionId } = event.currentTarget.dataset;
+       const action = this.findAction(messageId, actionId);
+       if (!action) return;
+
+       if (action.needsConfirmation) {
+           this.updateAction(messageId, actionId, 'confirming');
+           this.focusElement(`.action-confirm[data-message-id="${messageId}"][data-action-id="${actionId}"]`);
+       } else {
+           this.runAction(messageId, action);
+       }
+   }
+
+   handleActionConfirm(event) {
+       const { messageId, actionId } = event.currentTarget.dataset;
+       const action = this.findAction(messageId, actionId);
+       if (action) {
+           this.runAction(messageId, action);
+       }
+   }
+
+   handleActionCancel(event) {
+       const { messageId, actionId } = event.currentTarget.dataset;
+       this.updateAction(messageId, actionId, 'proposed');
+       this.focusElement(`.action-start[data-message-id="${messageId}"][data-action-id="${actionId}"]`);
+   }
+
+   handleActionDismiss(event) {
+       const { messageId, actionId } = event.currentTarget.dataset;
+       this.messages = this.messages.map(m => {
+           if (String(m.id) !== messageId) return m;
+           const actions = m.actions.filter(action => action.id !== actionId);
+           return { ...m, actions, hasActions: actions.length > 0 };
+       });
+   }
+
+   handleActionViewRecord(event) {
+       this.openRecord(event.currentTarget.dataset.recordId);
+   }
+
+   // Only the action ID is sent: Apex runs the proposal it recorded with the answer, checks object and field access
+   // again and logs the run; a refused action comes back with success false
+   async runAction(messageId, action) {
+       this.updateAction(messageId, action.id, 'running');
+       let result;
+       try {
+           result = await executeAssistantAction({
+               conversationId: this.conversationId,
+               messageKey: messageId,
+               actionId: action.id
+           });
+       } catch (error) {
+           console.error('Failed to run action:', error);
+           result = { success: false, message: parseError(error, LABELS.errorUnknown).message };
+       }
+
+       if (result.success) {
+           this.updateAction(messageId, action.id, 'done', result);
+           this.announce(formatLabel(LABELS.actionCompleted, action.title));
+           if (action.type === ACTION_OPEN_RECORD) {
+               this.openRecord(result.recordId);
+           }
+       } else {
+           this.updateAction(messageId, action.id, 'failed', result);
+           this.announce(formatLabel(LABELS.actionFailed, result.message || LABELS.errorUnknown));
+       }
+   }
+
    /* ============================================== KNOWLEDGE ARTICLE NAVIGATION ============================================== */
    openKnowledgeArticle(articleId) {
        this[NavigationMixin.Navigate]({
@@ -637,6 +2660,29 @@ export default class AssistantChat extends NavigationMixin(LightningElement) {
        });
    }
 
+   openRecord(recordId) {
+       this[NavigationMixin.Navigate](this.recordPageReference(recordId));
+   }
+
+   recordPageReference(recordId, objectApiName) {
+       const attributes = { recordId, actionName: 'view' };
+       if (objectApiName) {
+           attributes.objectApiName = objectApiName;
+       }
+       return { type: 'standard__recordPage', attributes };
+   }
+
+   // Record page URL from the navigation service, so links work inside Experience Cloud sites too
+   async generateRecordUrl(recordId) {
+       if (!recordId) return null;
+       try {
+           return await this[NavigationMixin.GenerateUrl](this.recordPageReference(recordId));
+       } catch (error) {
+           console.error('Failed to generate record URL:', error);
+           return null;
+       }
+   }
+
    /* ============================================== UTILITIES ============================================== */
    showToast(title, message, variant = 'info') {
        this.dispatchEvent(new ShowToastEvent({
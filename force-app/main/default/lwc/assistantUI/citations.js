@@ -0,0 +1,240 @@
+/* citations.js - Configurable citation grammar: find, resolve and link references in assistant replies */
+
+/*
+ * Built-in rules. Each rule's first capture group holds one reference, or a comma-separated list.
+ *  - target 'text': matched against reply text (never inside links or code)
+ *  - target 'href': matched against the href of links the reply already contains
+ * The article rule covers every legacy format: (Article 000005262), (Article Numbers: 000005262, 000005218),
+ * (Article Number: 000006196), Article: 000005262, Article Numbers: 000006196, 000005218, KB 000005262 ...
+ */
+export const DEFAULT_CITATION_GRAMMAR = [
+   {
+       key: 'article',
+       type: 'article',
+       target: 'text',
+       pattern: '\\b(?:Article|KB)(?:\\s+Numbers?)?\\s*:?\\s*#?(\\d{6,12}(?:\\s*,\\s*\\d{6,12})*)'
+   },
+   {
+       key: 'case',
+       type: 'case',
+       target: 'text',
+       pattern: '\\bCase(?:\\s+(?:Number|No\\.?))?\\s*:?\\s*#?(\\d{5,10})\\b'
+   },
+   {
+       key: 'record',
+       type: 'record',
+       target: 'text',
+       pattern: '\\bRecord(?:\\s+Id)?\\s*:\\s*([a-zA-Z0-9]{18}|[a-zA-Z0-9]{15})\\b'
+   },
+   {
+       key: 'url',
+       type: 'url',
+       target: 'href',
+       pattern: '/articles/(?:[\\w-]+/)*([\\w-]+)/?(?:[?#].*)?$'
+   }
+];
+
+const SKIP_INSIDE = ['A', 'CODE', 'PRE', 'BUTTON'];
+
+/**
+ * Built-in rules plus admin-defined ones. customRulesJson is a JSON array of
+ * { "label": "Order", "pattern": "Order\\s+#(\\d{8})", "objectApiName": "Order", "field": "OrderNumber" }.
+ * Invalid JSON or patterns are logged and skipped rather than breaking the chat.
+ */
+export function buildCitationGrammar(customRulesJson) {
+   const grammar = DEFAULT_CITATION_GRAMMAR.map(compileRule);
+   if (!customRulesJson) return grammar;
+
+   try {
+       const customRules = JSON.parse(customRulesJson);
+       (Array.isArray(customRules) ? customRules : []).forEach((rule, index) => {
+           if (!rule || !rule.pattern || !rule.objectApiName || !rule.field) return;
+           const compiled = compileRule({
+               key: `custom-${index}`,
+               type: 'custom',
+               target: 'text',
+               label: rule.label,
+               pattern: rule.pattern,
+               objectApiName: rule.objectApiName,
+               field: rule.field
+           });
+           if (compiled) grammar.push(compiled);
+       });
+   } catch (error) {
+       console.error('Invalid custom citation rules:', error);
+   }
+
+   return grammar.filter(Boolean);
+}
+
+function compileRule(rule) {
+   try {
+       const regex = new RegExp(rule.pattern, rule.target === 'href' ? 'i' : 'gi');
+       // Group 1 is the reference; matching the empty alternative reveals how many groups the pattern has
+       if (new RegExp(`${rule.pattern}|`).exec('').length < 2) {
+           console.error(`Citation pattern for ${rule.key} has no capture group for the reference`);
+           return null;
+       }
+       return { ...rule, regex };
+   } catch (error) {
+       console.error(`Invalid citation pattern for ${rule.key}:`, error);
+       return null;
+   }
+}
+
+// A pattern that can match nothing would find the same empty match forever
+function skipEmptyMatch(regex, match) {
+   if (match[0] === '') regex.lastIndex++;
+}
+
+// Every reference one match of a rule contains
+function splitRefs(group) {
+   return group.split(',').map(ref => ref.trim()).filter(Boolean);
+}
+
+function findHrefs(text) {
+   const hrefs = [];
+   const pattern = /\]\(([^)\s]+)\)|(https?:\/\/[^\s<)]+)/g;
+   let match;
+   while ((match = pattern.exec(text)) !== null) {
+       hrefs.push(match[1] || match[2]);
+   }
+   return hrefs;
+}
+
+/**
+ * Group the references in a reply by rule, in the shape AssistantController.resolveCitations expects:
+ * [{ key, type, refs, objectApiName, field }]
+ */
+export function extractCitations(text, grammar) {
+   if (!text) return [];
+   const queries = [];
+
+   grammar.forEach(rule => {
+       const refs = new Set();
+       if (rule.target === 'href') {
+           findHrefs(text).forEach(href => {
+               const match = href.match(rule.regex);
+               if (match && match[1]) refs.add(match[1]);
+           });
+       } else {
+           rule.regex.lastIndex = 0;
+           let match;
+           while ((match = rule.regex.exec(text)) !== null) {
+               skipEmptyMatch(rule.regex, match);
+               if (match[1]) splitRefs(match[1]).forEach(ref => refs.add(ref));
+           }
+       }
+
+       if (refs.size) {
+           queries.push({
+               key: rule.key,
+               type: rule.type,
+               refs: Array.from(refs),
+               objectApiName: rule.objectApiName,
+               field: rule.field
+           });
+       }
+   });
+
+   return queries;
+}
+
+export function hasCitations(text, grammar) {
+   return extractCitations(text, grammar).length > 0;
+}
+
+/**
+ * Turn resolved references in rendered HTML into citation links. `resolved` is keyed "<rule key>|<ref>", each card
+ * with the record page URL from NavigationMixin's GenerateUrl; anything unresolved is left as plain text.
+ * Links carry data-citation-key for the preview card.
+ */
+export function linkifyCitations(html, grammar, resolved) {
+   if (!html || !resolved || !Object.keys(resolved).length) return html;
+
+   const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+   grammar.forEach(rule => {
+       if (rule.target === 'href') {
+           doc.body.querySelectorAll('a[href]').forEach(link => {
+               const match = link.getAttribute('href').match(rule.regex);
+               const key = match && match[1] && `${rule.key}|${match[1]}`;
+               if (key && resolved[key]) {
+                   decorateLink(link, key, rule.type, resolved[key]);
+               }
+           });
+           return;
+       }
+
+       collectTextNodes(doc.body).forEach(node => linkifyTextNode(doc, node, rule, resolved));
+   });
+
+   return doc.body.innerHTML;
+}
+
+function collectTextNodes(root) {
+   const nodes = [];
+   const walk = parent => {
+       parent.childNodes.forEach(child => {
+           if (child.nodeType === Node.TEXT_NODE) {
+               nodes.push(child);
+           } else if (child.nodeType === Node.ELEMENT_NODE && !SKIP_INSIDE.includes(child.tagName)) {
+               walk(child);
+           }
+       });
+   };
+   walk(root);
+   return nodes;
+}
+
+function linkifyTextNode(doc, node, rule, resolved) {
+   const text = node.textContent;
+   const fragment = doc.createDocumentFragment();
+   let cursor = 0;
+   let linked = false;
+
+   rule.regex.lastIndex = 0;
+   let match;
+   while ((match = rule.regex.exec(text)) !== null) {
+       skipEmptyMatch(rule.regex, match);
+       if (!match[1]) continue;
+
+       // Position of each reference within the match, so only the numbers become links
+       const groupStart = match.index + match[0].lastIndexOf(match[1]);
+       const refPattern = /[^,\s]+/g;
+       let refMatch;
+       while ((refMatch = refPattern.exec(match[1])) !== null) {
+           const ref = refMatch[0];
+           const key = `${rule.key}|${ref}`;
+           if (!resolved[key]) continue;
+
+           const refStart = groupStart + refMatch.index;
+           fragment.appendChild(doc.createTextNode(text.substring(cursor, refStart)));
+
+           // A real record URL, so the link works as a link for keyboard and screen reader users (and in a new tab);
+           // generated by the navigation service, so it carries an Experience Cloud site's path prefix
+           const link = doc.createElement('a');
+           link.setAttribute('href', resolved[key].url || '#');
+           link.textContent = ref;
+           decorateLink(link, key, rule.type, resolved[key]);
+           fragment.appendChild(link);
+
+           cursor = refStart + ref.length;
+           linked = true;
+       }
+   }
+
+   if (!linked) return;
+   fragment.appendChild(doc.createTextNode(text.substring(cursor)));
+   node.replaceWith(fragment);
+}
+
+// The accessible name keeps the visible reference and adds what it points to
+function decorateLink(link, key, type, card) {
+   link.setAttribute('class', 'citation-link knowledge-article-link');
+   link.setAttribute('data-citation-key', key);
+   link.setAttribute('data-citation-type', type);
+   if (card.title && card.title !== link.textContent) {
+       link.setAttribute('aria-label', `${link.textContent}: ${card.title}`);
+   }
+}
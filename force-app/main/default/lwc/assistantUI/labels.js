@@ -0,0 +1,349 @@
+/* labels.js - Custom Labels for every string assistantUI shows; translations live in force-app/main/default/translations */
+import defaultAssistantName from '@salesforce/label/c.Assistant_Default_Assistant_Name';
+import defaultTagline from '@salesforce/label/c.Assistant_Default_Tagline';
+import welcomeMessage from '@salesforce/label/c.Assistant_Welcome_Message';
+import inputPlaceholder from '@salesforce/label/c.Assistant_Input_Placeholder';
+import logoLabel from '@salesforce/label/c.Assistant_Logo_Label';
+import logoTitle from '@salesforce/label/c.Assistant_Logo_Title';
+import dropFiles from '@salesforce/label/c.Assistant_Drop_Files';
+import conversationIdPrefix from '@salesforce/label/c.Assistant_Conversation_Id_Prefix';
+import conversationHistory from '@salesforce/label/c.Assistant_Conversation_History';
+import exportAndShare from '@salesforce/label/c.Assistant_Export_And_Share';
+import exportMarkdown from '@salesforce/label/c.Assistant_Export_Markdown';
+import exportText from '@salesforce/label/c.Assistant_Export_Text';
+import exportPdf from '@salesforce/label/c.Assistant_Export_Pdf';
+import logToRecordMenu from '@salesforce/label/c.Assistant_Log_To_Record_Menu';
+import newSession from '@salesforce/label/c.Assistant_New_Session';
+import newSessionStarted from '@salesforce/label/c.Assistant_New_Session_Started';
+import pastConversations from '@salesforce/label/c.Assistant_Past_Conversations';
+import closeHistory from '@salesforce/label/c.Assistant_Close_History';
+import loadingHistory from '@salesforce/label/c.Assistant_Loading_History';
+import noPastConversations from '@salesforce/label/c.Assistant_No_Past_Conversations';
+import logPanelLabel from '@salesforce/label/c.Assistant_Log_Panel_Label';
+import logToRecord from '@salesforce/label/c.Assistant_Log_To_Record';
+import close from '@salesforce/label/c.Assistant_Close';
+import saveAs from '@salesforce/label/c.Assistant_Save_As';
+import record from '@salesforce/label/c.Assistant_Record';
+import object from '@salesforce/label/c.Assistant_Object';
+import search from '@salesforce/label/c.Assistant_Search';
+import save from '@salesforce/label/c.Assistant_Save';
+import logTypeNote from '@salesforce/label/c.Assistant_Log_Type_Note';
+import logTypeTask from '@salesforce/label/c.Assistant_Log_Type_Task';
+import logTypeCaseComment from '@salesforce/label/c.Assistant_Log_Type_Case_Comment';
+import objectCase from '@salesforce/label/c.Assistant_Object_Case';
+import objectAccount from '@salesforce/label/c.Assistant_Object_Account';
+import objectContact from '@salesforce/label/c.Assistant_Object_Contact';
+import objectOpportunity from '@salesforce/label/c.Assistant_Object_Opportunity';
+import logTargetCurrent from '@salesforce/label/c.Assistant_Log_Target_Current';
+import logTargetOther from '@salesforce/label/c.Assistant_Log_Target_Other';
+import suggestedQuestions from '@salesforce/label/c.Assistant_Suggested_Questions';
+import suggestedFollowUps from '@salesforce/label/c.Assistant_Suggested_Follow_Ups';
+import howIGotThisAnswer from '@salesforce/label/c.Assistant_How_I_Got_This_Answer';
+import retry from '@salesforce/label/c.Assistant_Retry';
+import retrying from '@salesforce/label/c.Assistant_Retrying';
+import retryingIn from '@salesforce/label/c.Assistant_Retrying_In';
+import previousVersion from '@salesforce/label/c.Assistant_Previous_Version';
+import nextVersion from '@salesforce/label/c.Assistant_Next_Version';
+import versionLabel from '@salesforce/label/c.Assistant_Version_Label';
+import copy from '@salesforce/label/c.Assistant_Copy';
+import copied from '@salesforce/label/c.Assistant_Copied';
+import copyCode from '@salesforce/label/c.Assistant_Copy_Code';
+import copyAnswer from '@salesforce/label/c.Assistant_Copy_Answer';
+import answerCopied from '@salesforce/label/c.Assistant_Answer_Copied';
+import copyFailed from '@salesforce/label/c.Assistant_Copy_Failed';
+import regenerate from '@salesforce/label/c.Assistant_Regenerate';
+import regenerating from '@salesforce/label/c.Assistant_Regenerating';
+import cancel from '@salesforce/label/c.Assistant_Cancel';
+import feedbackNegativeTitle from '@salesforce/label/c.Assistant_Feedback_Negative_Title';
+import feedbackPositiveTitle from '@salesforce/label/c.Assistant_Feedback_Positive_Title';
+import feedbackNegativePlaceholder from '@salesforce/label/c.Assistant_Feedback_Negative_Placeholder';
+import feedbackPositivePlaceholder from '@salesforce/label/c.Assistant_Feedback_Positive_Placeholder';
+import whatWasWrong from '@salesforce/label/c.Assistant_What_Was_Wrong';
+import reasonInaccurate from '@salesforce/label/c.Assistant_Reason_Inaccurate';
+import reasonOutdatedArticle from '@salesforce/label/c.Assistant_Reason_Outdated_Article';
+import reasonIncomplete from '@salesforce/label/c.Assistant_Reason_Incomplete';
+import reasonUnsafe from '@salesforce/label/c.Assistant_Reason_Unsafe';
+import reasonOther from '@salesforce/label/c.Assistant_Reason_Other';
+import correctAnswer from '@salesforce/label/c.Assistant_Correct_Answer';
+import correctAnswerPlaceholder from '@salesforce/label/c.Assistant_Correct_Answer_Placeholder';
+import removeFeedback from '@salesforce/label/c.Assistant_Remove_Feedback';
+import submit from '@salesforce/label/c.Assistant_Submit';
+import feedbackPositive from '@salesforce/label/c.Assistant_Feedback_Positive';
+import feedbackNegative from '@salesforce/label/c.Assistant_Feedback_Negative';
+import feedbackReceived from '@salesforce/label/c.Assistant_Feedback_Received';
+import feedbackRemoved from '@salesforce/label/c.Assistant_Feedback_Removed';
+import feedbackQueued from '@salesforce/label/c.Assistant_Feedback_Queued';
+import feedbackFailed from '@salesforce/label/c.Assistant_Feedback_Failed';
+import feedbackSendError from '@salesforce/label/c.Assistant_Feedback_Send_Error';
+import feedbackThanks from '@salesforce/label/c.Assistant_Feedback_Thanks';
+import feedbackSubmitted from '@salesforce/label/c.Assistant_Feedback_Submitted';
+import feedbackSubmitFailed from '@salesforce/label/c.Assistant_Feedback_Submit_Failed';
+import lastUpdated from '@salesforce/label/c.Assistant_Last_Updated';
+import recordContext from '@salesforce/label/c.Assistant_Record_Context';
+import recordContextFallback from '@salesforce/label/c.Assistant_Record_Context_Fallback';
+import uploading from '@salesforce/label/c.Assistant_Uploading';
+import noRecordFiles from '@salesforce/label/c.Assistant_No_Record_Files';
+import attachFiles from '@salesforce/label/c.Assistant_Attach_Files';
+import attachRecordFiles from '@salesforce/label/c.Assistant_Attach_Record_Files';
+import send from '@salesforce/label/c.Assistant_Send';
+import stopGenerating from '@salesforce/label/c.Assistant_Stop_Generating';
+import responseStopped from '@salesforce/label/c.Assistant_Response_Stopped';
+import responseExpired from '@salesforce/label/c.Assistant_Response_Expired';
+import serviceUnreachable from '@salesforce/label/c.Assistant_Service_Unreachable';
+import tooManyAttachmentsTitle from '@salesforce/label/c.Assistant_Too_Many_Attachments_Title';
+import tooManyAttachments from '@salesforce/label/c.Assistant_Too_Many_Attachments';
+import unsupportedFileTitle from '@salesforce/label/c.Assistant_Unsupported_File_Title';
+import unsupportedFile from '@salesforce/label/c.Assistant_Unsupported_File';
+import fileTooLargeTitle from '@salesforce/label/c.Assistant_File_Too_Large_Title';
+import fileTooLarge from '@salesforce/label/c.Assistant_File_Too_Large';
+import uploadFailedTitle from '@salesforce/label/c.Assistant_Upload_Failed_Title';
+import uploadFailed from '@salesforce/label/c.Assistant_Upload_Failed';
+import loadFilesFailed from '@salesforce/label/c.Assistant_Load_Files_Failed';
+import errorTitle from '@salesforce/label/c.Assistant_Error_Title';
+import errorAuthConfig from '@salesforce/label/c.Assistant_Error_Auth_Config';
+import errorAuthFailed from '@salesforce/label/c.Assistant_Error_Auth_Failed';
+import errorServiceUnavailable from '@salesforce/label/c.Assistant_Error_Service_Unavailable';
+import errorTimeout from '@salesforce/label/c.Assistant_Error_Timeout';
+import errorRequestTooLarge from '@salesforce/label/c.Assistant_Error_Request_Too_Large';
+import errorBadRequest from '@salesforce/label/c.Assistant_Error_Bad_Request';
+import errorAttachmentRejected from '@salesforce/label/c.Assistant_Error_Attachment_Rejected';
+import errorUnknown from '@salesforce/label/c.Assistant_Error_Unknown';
+import clearConfirm from '@salesforce/label/c.Assistant_Clear_Confirm';
+import conversationCleared from '@salesforce/label/c.Assistant_Conversation_Cleared';
+import transcriptTitle from '@salesforce/label/c.Assistant_Transcript_Title';
+import transcriptYou from '@salesforce/label/c.Assistant_Transcript_You';
+import transcriptExported from '@salesforce/label/c.Assistant_Transcript_Exported';
+import transcriptAttachments from '@salesforce/label/c.Assistant_Transcript_Attachments';
+import transcriptSources from '@salesforce/label/c.Assistant_Transcript_Sources';
+import exportFailedTitle from '@salesforce/label/c.Assistant_Export_Failed_Title';
+import exportFailed from '@salesforce/label/c.Assistant_Export_Failed';
+import loggedTitle from '@salesforce/label/c.Assistant_Logged_Title';
+import logged from '@salesforce/label/c.Assistant_Logged';
+import logFailedTitle from '@salesforce/label/c.Assistant_Log_Failed_Title';
+import logFailed from '@salesforce/label/c.Assistant_Log_Failed';
+import historyLoadFailed from '@salesforce/label/c.Assistant_History_Load_Failed';
+import conversationLoadFailed from '@salesforce/label/c.Assistant_Conversation_Load_Failed';
+import editMessage from '@salesforce/label/c.Assistant_Edit_Message';
+import editMessageBox from '@salesforce/label/c.Assistant_Edit_Message_Box';
+import saveAndResend from '@salesforce/label/c.Assistant_Save_And_Resend';
+import editFailed from '@salesforce/label/c.Assistant_Edit_Failed';
+import messageList from '@salesforce/label/c.Assistant_Message_List';
+import messageListHint from '@salesforce/label/c.Assistant_Message_List_Hint';
+import speakerYou from '@salesforce/label/c.Assistant_Speaker_You';
+import speakerAssistant from '@salesforce/label/c.Assistant_Speaker_Assistant';
+import speakerSystem from '@salesforce/label/c.Assistant_Speaker_System';
+import assistantTyping from '@salesforce/label/c.Assistant_Assistant_Typing';
+import announceReply from '@salesforce/label/c.Assistant_Announce_Reply';
+import likeAnswer from '@salesforce/label/c.Assistant_Like_Answer';
+import dislikeAnswer from '@salesforce/label/c.Assistant_Dislike_Answer';
+import likeSelected from '@salesforce/label/c.Assistant_Like_Selected';
+import dislikeSelected from '@salesforce/label/c.Assistant_Dislike_Selected';
+import minimizeAssistant from '@salesforce/label/c.Assistant_Minimize_Assistant';
+import openAssistant from '@salesforce/label/c.Assistant_Open_Assistant';
+import unreadReplies from '@salesforce/label/c.Assistant_Unread_Replies';
+import unreadUtilityLabel from '@salesforce/label/c.Assistant_Unread_Utility_Label';
+import proposedActions from '@salesforce/label/c.Assistant_Proposed_Actions';
+import actionCreate from '@salesforce/label/c.Assistant_Action_Create';
+import actionUpdate from '@salesforce/label/c.Assistant_Action_Update';
+import actionDraftEmail from '@salesforce/label/c.Assistant_Action_Draft_Email';
+import actionOpen from '@salesforce/label/c.Assistant_Action_Open';
+import actionConfirmPrompt from '@salesforce/label/c.Assistant_Action_Confirm_Prompt';
+import actionConfirm from '@salesforce/label/c.Assistant_Action_Confirm';
+import actionDismiss from '@salesforce/label/c.Assistant_Action_Dismiss';
+import actionRunning from '@salesforce/label/c.Assistant_Action_Running';
+import actionDone from '@salesforce/label/c.Assistant_Action_Done';
+import actionCompleted from '@salesforce/label/c.Assistant_Action_Completed';
+import actionFailed from '@salesforce/label/c.Assistant_Action_Failed';
+import viewRecord from '@salesforce/label/c.Assistant_View_Record';
+import redactedNotice from '@salesforce/label/c.Assistant_Redacted_Notice';
+import redactedHint from '@salesforce/label/c.Assistant_Redacted_Hint';
+import errorQuotaMinute from '@salesforce/label/c.Assistant_Error_Quota_Minute';
+import errorQuotaDay from '@salesforce/label/c.Assistant_Error_Quota_Day';
+import errorMessageTooLong from '@salesforce/label/c.Assistant_Error_Message_Too_Long';
+import quotaCooldown from '@salesforce/label/c.Assistant_Quota_Cooldown';
+import quotaDayReached from '@salesforce/label/c.Assistant_Quota_Day_Reached';
+import quotaRemaining from '@salesforce/label/c.Assistant_Quota_Remaining';
+import messageLength from '@salesforce/label/c.Assistant_Message_Length';
+import messageQueued from '@salesforce/label/c.Assistant_Message_Queued';
+import messageNotSent from '@salesforce/label/c.Assistant_Message_Not_Sent';
+import offline from '@salesforce/label/c.Assistant_Offline';
+import sendAgain from '@salesforce/label/c.Assistant_Send_Again';
+import discardMessage from '@salesforce/label/c.Assistant_Discard_Message';
+
+export const LABELS = {
+   defaultAssistantName,
+   defaultTagline,
+   welcomeMessage,
+   inputPlaceholder,
+   logoLabel,
+   logoTitle,
+   dropFiles,
+   conversationIdPrefix,
+   conversationHistory,
+   exportAndShare,
+   exportMarkdown,
+   exportText,
+   exportPdf,
+   logToRecordMenu,
+   newSession,
+   newSessionStarted,
+   pastConversations,
+   closeHistory,
+   loadingHistory,
+   noPastConversations,
+   logPanelLabel,
+   logToRecord,
+   close,
+   saveAs,
+   record,
+   object,
+   search,
+   save,
+   logTypeNote,
+   logTypeTask,
+   logTypeCaseComment,
+   objectCase,
+   objectAccount,
+   objectContact,
+   objectOpportunity,
+   logTargetCurrent,
+   logTargetOther,
+   suggestedQuestions,
+   suggestedFollowUps,
+   howIGotThisAnswer,
+   retry,
+   retrying,
+   retryingIn,
+   previousVersion,
+   nextVersion,
+   versionLabel,
+   copy,
+   copied,
+   copyCode,
+   copyAnswer,
+   answerCopied,
+   copyFailed,
+   regenerate,
+   regenerating,
+   cancel,
+   feedbackNegativeTitle,
+   feedbackPositiveTitle,
+   feedbackNegativePlaceholder,
+   feedbackPositivePlaceholder,
+   whatWasWrong,
+   reasonInaccurate,
+   reasonOutdatedArticle,
+   reasonIncomplete,
+   reasonUnsafe,
+   reasonOther,
+   correctAnswer,
+   correctAnswerPlaceholder,
+   removeFeedback,
+   submit,
+   feedbackPositive,
+   feedbackNegative,
+   feedbackReceived,
+   feedbackRemoved,
+   feedbackQueued,
+   feedbackFailed,
+   feedbackSendError,
+   feedbackThanks,
+   feedbackSubmitted,
+   feedbackSubmitFailed,
+   lastUpdated,
+   recordContext,
+   recordContextFallback,
+   uploading,
+   noRecordFiles,
+   attachFiles,
+   attachRecordFiles,
+   send,
+   stopGenerating,
+   responseStopped,
+   responseExpired,
+   serviceUnreachable,
+   tooManyAttachmentsTitle,
+   tooManyAttachments,
+   unsupportedFileTitle,
+   unsupportedFile,
+   fileTooLargeTitle,
+   fileTooLarge,
+   uploadFailedTitle,
+   uploadFailed,
+   loadFilesFailed,
+   errorTitle,
+   errorAuthConfig,
+   errorAuthFailed,
+   errorServiceUnavailable,
+   errorTimeout,
+   errorRequestTooLarge,
+   errorBadRequest,
+   errorAttachmentRejected,
+   errorUnknown,
+   clearConfirm,
+   conversationCleared,
+   transcriptTitle,
+   transcriptYou,
+   transcriptExported,
+   transcriptAttachments,
+   transcriptSources,
+   exportFailedTitle,
+   exportFailed,
+   loggedTitle,
+   logged,
+   logFailedTitle,
+   logFailed,
+   historyLoadFailed,
+   conversationLoadFailed,
+   editMessage,
+   editMessageBox,
+   saveAndResend,
+   editFailed,
+   messageList,
+   messageListHint,
+   speakerYou,
+   speakerAssistant,
+   speakerSystem,
+   assistantTyping,
+   announceReply,
+   likeAnswer,
+   dislikeAnswer,
+   likeSelected,
+   dislikeSelected,
+   minimizeAssistant,
+   openAssistant,
+   unreadReplies,
+   unreadUtilityLabel,
+   proposedActions,
+   actionCreate,
+   actionUpdate,
+   actionDraftEmail,
+   actionOpen,
+   actionConfirmPrompt,
+   actionConfirm,
+   actionDismiss,
+   actionRunning,
+   actionDone,
+   actionCompleted,
+   actionFailed,
+   viewRecord,
+   redactedNotice,
+   redactedHint,
+   errorQuotaMinute,
+   errorQuotaDay,
+   errorMessageTooLong,
+   quotaCooldown,
+   quotaDayReached,
+   quotaRemaining,
+   messageLength,
+   messageQueued,
+   messageNotSent,
+   offline,
+   sendAgain,
+   discardMessage
+};
+
+// Fill the {0}, {1}, ... placeholders of a label
+export function formatLabel(label, ...args) {
+   return label.replace(/\{(\d+)\}/g, (match, index) => (args[index] !== undefined ? String(args[index]) : match));
+}
@@ -0,0 +1,327 @@
+/* markdown.js - Markdown rendering + allow-list HTML sanitizing for assistant replies */
+import { LABELS } from './labels';
+
+/* ============================================== SANITIZER ALLOW-LIST ============================================== */
+// Tag -> attributes it may keep. Anything not listed is unwrapped (children kept) or dropped entirely.
+const ALLOWED_TAGS = {
+   a: ['href', 'title', 'class', 'target', 'rel', 'aria-label', 'data-citation-key', 'data-citation-type'],
+   blockquote: [],
+   br: [],
+   button: ['class', 'type', 'aria-label', 'title'],
+   code: ['class'],
+   del: [],
+   div: ['class'],
+   em: [],
+   h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+   hr: [],
+   li: [],
+   ol: ['start'],
+   p: [],
+   pre: ['class'],
+   span: ['class'],
+   strong: [],
+   table: ['class'],
+   tbody: [],
+   td: ['class'],
+   th: ['class'],
+   thead: [],
+   tr: [],
+   ul: []
+};
+
+// Elements whose content must never be rendered, not even as text
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+const SAFE_URL = /^(https?:|mailto:|#|\/(?![\/\\]))/i; // relative paths are same-org record links; browsers read /\ as // and drop tabs and newlines
+
+/**
+ * Strip everything outside the allow-list from an HTML string. Used as the last step before
+ * assigning to the lwc:dom="manual" container, so model output can never inject markup.
+ */
+export function sanitizeHtml(html) {
+   if (!html) return '';
+
+   // DOMParser documents are inert: nothing loads or executes while we walk them
+   const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+   sanitizeChildren(doc.body);
+   return doc.body.innerHTML;
+}
+
+function sanitizeChildren(parent) {
+   Array.from(parent.childNodes).forEach(node => {
+       if (node.nodeType === Node.TEXT_NODE) return;
+
+       if (node.nodeType !== Node.ELEMENT_NODE) {
+           node.remove(); // comments, processing instructions
+           return;
+       }
+
+       const tag = node.tagName.toLowerCase();
+       if (DROP_WITH_CONTENT.includes(tag)) {
+           node.remove();
+           return;
+       }
+
+       sanitizeChildren(node);
+
+       const allowedAttributes = ALLOWED_TAGS[tag];
+       if (!allowedAttributes) {
+           node.replaceWith(...Array.from(node.childNodes));
+           return;
+       }
+
+       Array.from(node.attributes).forEach(attribute => {
+           const name = attribute.name.toLowerCase();
+           if (!allowedAttributes.includes(name) || (name === 'href' && !SAFE_URL.test(attribute.value.replace(/[\t\n\r]/g, '').trim()))) {
+               node.removeAttribute(attribute.name);
+           }
+       });
+
+       // External links open in a new tab and can't reach back into the page
+       if (tag === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+           node.setAttribute('target', '_blank');
+           node.setAttribute('rel', 'noopener noreferrer');
+       }
+   });
+}
+
+/* ============================================== MARKDOWN ============================================== */
+/**
+ * Render a Markdown reply to HTML. Supports headings, ordered/unordered lists, links, tables,
+ * block quotes, horizontal rules and fenced code blocks (with a copy button). All source text is
+ * escaped first, so the only markup in the output is what this renderer emits.
+ */
+export function renderMarkdown(text) {
+   if (!text) return '';
+   const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+   return renderBlocks(lines);
+}
+
+export function escapeHtml(text) {
+   return String(text)
+       .replace(/&/g, '&amp;')
+       .replace(/</g, '&lt;')
+       .replace(/>/g, '&gt;')
+       .replace(/"/g, '&quot;')
+       .replace(/'/g, '&#39;');
+}
+
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+const UL_ITEM = /^(\s*)[-*+]\s+(.*)$/;
+const OL_ITEM = /^(\s*)(\d{1,9})[.)]\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function renderBlocks(lines) {
+   const html = [];
+   let paragraph = [];
+   let i = 0;
+
+   const flushParagraph = () => {
+       if (paragraph.length) {
+           html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+           paragraph = [];
+       }
+   };
+
+   while (i < lines.length) {
+       const line = lines[i];
+
+       // Fenced code block
+       const fence = line.match(FENCE);
+       if (fence) {
+           flushParagraph();
+           const code = [];
+           i++;
+           while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+               code.push(lines[i]);
+               i++;
+           }
+           i++; // closing fence
+           html.push(renderCodeBlock(code.join('\n'), fence[2]));
+           continue;
+       }
+
+       if (!line.trim()) {
+           flushParagraph();
+           i++;
+           continue;
+       }
+
+       const heading = line.match(HEADING);
+       if (heading) {
+           flushParagraph();
+           const level = heading[1].length;
+           html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+           i++;
+           continue;
+       }
+
+       if (HR.test(line)) {
+           flushParagraph();
+           html.push('<hr>');
+           i++;
+           continue;
+       }
+
+       if (BLOCKQUOTE.test(line)) {
+           flushParagraph();
+           const quoted = [];
+           while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+               quoted.push(lines[i].match(BLOCKQUOTE)[1]);
+               i++;
+           }
+           html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+           continue;
+       }
+
+       if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+           flushParagraph();
+           const rows = [line];
+           const divider = lines[i + 1];
+           i += 2;
+           while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+               rows.push(lines[i]);
+               i++;
+           }
+           html.push(renderTable(rows, divider));
+           continue;
+       }
+
+       if (UL_ITEM.test(line) || OL_ITEM.test(line)) {
+           flushParagraph();
+           const listLines = [];
+           while (i < lines.length && (UL_ITEM.test(lines[i]) || OL_ITEM.test(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && listLines.length))) {
+               listLines.push(lines[i]);
+               i++;
+           }
+           html.push(renderList(listLines));
+           continue;
+       }
+
+       paragraph.push(line);
+       i++;
+   }
+
+   flushParagraph();
+   return html.join('');
+}
+
+function renderCodeBlock(code, language) {
+   const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+   return '<div class="code-block">' +
+       `<button type="button" class="code-copy-button" aria-label="${escapeHtml(LABELS.copyCode)}" title="${escapeHtml(LABELS.copyCode)}">${escapeHtml(LABELS.copy)}</button>` +
+       `<pre class="code-block-pre"><code${languageClass}>${escapeHtml(code)}</code></pre>` +
+       '</div>';
+}
+
+// Lists: indentation of 2+ spaces beyond the current item opens a nested list
+function renderList(listLines) {
+   const parseItem = line => {
+       const ul = line.match(UL_ITEM);
+       if (ul) return { indent: ul[1].length, ordered: false, text: ul[2] };
+       const ol = line.match(OL_ITEM);
+       if (ol) return { indent: ol[1].length, ordered: true, start: Number(ol[2]), text: ol[3] };
+       return null;
+   };
+
+   const items = [];
+   listLines.forEach(line => {
+       const item = parseItem(line);
+       if (item) {
+           items.push(item);
+       } else if (items.length) {
+           items[items.length - 1].text += ` ${line.trim()}`; // lazy continuation line
+       }
+   });
+
+   const build = (startIndex, indent) => {
+       const first = items[startIndex];
+       const tag = first.ordered ? 'ol' : 'ul';
+       const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+       let out = `<${tag}${startAttr}>`;
+       let index = startIndex;
+
+       // A sibling of the other list type at this level starts a new list
+       while (index < items.length && items[index].indent >= indent &&
+           !(items[index].indent === indent && items[index].ordered !== first.ordered)) {
+           const item = items[index];
+           out += `<li>${renderInline(item.text)}`;
+           index++;
+           if (index < items.length && items[index].indent >= item.indent + 2) {
+               const nested = build(index, items[index].indent);
+               out += nested.html;
+               index = nested.next;
+           }
+           out += '</li>';
+       }
+
+       return { html: `${out}</${tag}>`, next: index };
+   };
+
+   let html = '';
+   let index = 0;
+   while (index < items.length) {
+       const built = build(index, items[index].indent);
+       html += built.html;
+       index = built.next;
+   }
+   return html;
+}
+
+function renderTable(rows, divider) {
+   const splitRow = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+   const alignments = splitRow(divider).map(cell => {
+       if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+       if (cell.endsWith(':')) return 'right';
+       return '';
+   });
+   const cellClass = index => (alignments[index] ? ` class="align-${alignments[index]}"` : '');
+
+   const header = splitRow(rows[0]).map((cell, index) => `<th${cellClass(index)}>${renderInline(cell)}</th>`).join('');
+   const body = rows.slice(1).map(row => {
+       const cells = splitRow(row).map((cell, index) => `<td${cellClass(index)}>${renderInline(cell)}</td>`).join('');
+       return `<tr>${cells}</tr>`;
+   }).join('');
+
+   return `<div class="table-wrapper"><table class="markdown-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+/* ============================================== INLINE ============================================== */
+function renderInline(text) {
+   // Pull code spans and links out first so nothing inside them is treated as Markdown
+   const tokens = [];
+   const stash = html => {
+       tokens.push(html);
+       return `\u0000${tokens.length - 1}\u0000`;
+   };
+
+   let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => stash(`<code class="slds-code_inline">${code}</code>`));
+
+   // Links: [label](url) - only http(s)/mailto targets survive
+   html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+       if (!/^(https?:|mailto:)/i.test(url)) return label;
+       return stash(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+   });
+
+   // Bare URLs
+   html = html.replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (match, prefix, url) =>
+       prefix + stash(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+   html = html
+       .replace(/\*\*([^*\n]+?)\*\*/g, '<strong>$1</strong>')
+       .replace(/(^|[^\w])__([^_\n]+?)__(?!\w)/g, '$1<strong>$2</strong>')
+       .replace(/(^|[^*\w])\*([^*\s][^*\n]*?)\*(?!\*)/g, '$1<em>$2</em>')
+       // Underscore emphasis only at word boundaries, so snake_case identifiers stay intact
+       .replace(/(^|[^\w])_([^_\s][^_\n]*?)_(?!\w)/g, '$1<em>$2</em>')
+       .replace(/~~([^~\n]+?)~~/g, '<del>$1</del>');
+
+   // Restore stashed tokens (links can contain code spans, so resolve repeatedly)
+   const placeholder = /\u0000(\d+)\u0000/g;
+   while (placeholder.test(html)) {
+       html = html.replace(placeholder, (match, index) => tokens[Number(index)]);
+   }
+   return html;
+}
@@ -0,0 +1,68 @@
+/* suggestions.js - Follow-up question chips: sent by the backend, or taken from a closing list in the answer */
+
+const MAX_SUGGESTIONS = 4;
+const MAX_SUGGESTION_LENGTH = 150;
+
+// A heading (Markdown heading, bold line or plain "...:" line) that introduces a closing list of questions,
+// e.g. "Follow-up questions:", "**You might also ask**", "### Related questions"
+const FOLLOW_UP_HEADING = /^\s{0,3}(?:#{1,6}\s+)?(?:\*\*|__)?\s*(?:suggested\s+)?(?:follow[\s-]?up(?:\s+questions)?|related\s+questions|you\s+(?:might|may|could)\s+also\s+ask|next\s+questions)\s*:?\s*(?:\*\*|__)?\s*:?\s*$/i;
+const LIST_ITEM = /^\s*(?:[-*+]|\d{1,2}[.)])\s+(.+?)\s*$/;
+
+/**
+ * Clean up suggestion text for display as a chip: strip Markdown emphasis and surrounding quotes,
+ * drop blanks and duplicates, cap length and count.
+ */
+export function normalizeSuggestions(suggestions) {
+   if (!Array.isArray(suggestions)) return [];
+
+   const seen = new Set();
+   const normalized = [];
+   suggestions.forEach(suggestion => {
+       if (typeof suggestion !== 'string') return;
+       let text = suggestion
+           .replace(/(\*\*|__|`)/g, '')
+           .replace(/^["'“]+|["'”]+$/g, '')
+           .replace(/\s+/g, ' ')
+           .trim();
+       if (!text) return;
+       if (text.length > MAX_SUGGESTION_LENGTH) {
+           text = `${text.substring(0, MAX_SUGGESTION_LENGTH - 3)}...`;
+       }
+
+       const key = text.toLowerCase();
+       if (!seen.has(key) && normalized.length < MAX_SUGGESTIONS) {
+           seen.add(key);
+           normalized.push(text);
+       }
+   });
+   return normalized;
+}
+
+/**
+ * Split a closing "Follow-up questions" list off an answer. Returns { text, suggestions }: the answer
+ * without that section, and its items. Answers without such a section come back unchanged.
+ */
+export function extractFollowUps(text) {
+   if (!text) return { text, suggestions: [] };
+
+   const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+   let end = lines.length;
+   while (end > 0 && !lines[end - 1].trim()) end--;
+
+   // Walk back over the trailing list items to the heading that introduces them
+   const items = [];
+   let index = end - 1;
+   while (index >= 0 && (LIST_ITEM.test(lines[index]) || !lines[index].trim())) {
+       if (lines[index].trim()) items.unshift(lines[index].match(LIST_ITEM)[1]);
+       index--;
+   }
+
+   if (!items.length || index < 0 || !FOLLOW_UP_HEADING.test(lines[index])) {
+       return { text, suggestions: [] };
+   }
+
+   return {
+       text: lines.slice(0, index).join('\n').trimEnd(),
+       suggestions: normalizeSuggestions(items)
+   };
+}
@@ -0,0 +1,99 @@
+/* transcript.js - Conversation export (Markdown / plain text) and rich-text copy of single answers */
+import { LABELS, formatLabel } from './labels';
+
+/**
+ * Build a transcript of the conversation. `entries` are
+ * [{ speaker, text, createdAt, attachments: [title], sources: [{ ref, title, url }] }];
+ * `format` is 'markdown' or 'text'. Sources are the citations resolved for that answer.
+ */
+export function buildTranscript(entries, { format = 'markdown', title, conversationId, exportedAt = new Date() } = {}) {
+   const markdown = format === 'markdown';
+   const lines = [];
+
+   if (markdown) {
+       lines.push(`# ${title}`, '');
+       lines.push(`_${formatLabel(LABELS.transcriptExported, conversationId, formatTimestamp(exportedAt))}_`, '');
+   } else {
+       lines.push(title, '='.repeat(title.length), '');
+       lines.push(formatLabel(LABELS.transcriptExported, conversationId, formatTimestamp(exportedAt)), '');
+   }
+
+   entries.forEach(entry => {
+       const heading = `${entry.speaker} (${formatTimestamp(entry.createdAt)})`;
+       lines.push(markdown ? `### ${heading}` : `--- ${heading} ---`, '');
+       lines.push(markdown ? entry.text : markdownToText(entry.text), '');
+
+       if (entry.attachments?.length) {
+           lines.push(formatLabel(LABELS.transcriptAttachments, entry.attachments.join(', ')), '');
+       }
+       if (entry.sources?.length) {
+           lines.push(LABELS.transcriptSources);
+           entry.sources.forEach(source => {
+               const label = source.title && source.title !== source.ref ? `${source.ref} - ${source.title}` : source.ref;
+               lines.push(markdown ? `- [${label}](${source.url})` : `- ${label}: ${source.url}`);
+           });
+           lines.push('');
+       }
+   });
+
+   return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Strip Markdown syntax for a plain-text export or clipboard fallback. Links keep their target
+ * in parentheses so nothing is lost when pasted somewhere without formatting.
+ */
+export function markdownToText(text) {
+   if (!text) return '';
+
+   return String(text)
+       .replace(/\r\n?/g, '\n')
+       .replace(/^\s*(```|~~~)[\w+-]*\s*$/gm, '')
+       .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '$1')
+       .replace(/^\s{0,3}>\s?/gm, '')
+       .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+       .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+       .replace(/(\*\*|__)(.+?)\1/g, '$2')
+       .replace(/(^|[^\w*])\*([^*\s][^*\n]*?)\*(?!\*)/g, '$1$2')
+       .replace(/(^|[^\w])_([^_\s][^_\n]*?)_(?!\w)/g, '$1$2')
+       .replace(/~~(.+?)~~/g, '$1')
+       .replace(/`([^`]+)`/g, '$1')
+       .replace(/\n{3,}/g, '\n\n')
+       .trim();
+}
+
+/**
+ * Prepare an answer's rendered (already sanitized) HTML for the clipboard: citation links point at
+ * the record they resolved to, copy buttons are dropped and the styling email clients need is inlined.
+ * `resolveUrl(citationKey)` returns the absolute URL for a citation, or null.
+ */
+export function toClipboardHtml(html, resolveUrl) {
+   const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+
+   doc.body.querySelectorAll('.code-copy-button').forEach(button => button.remove());
+   doc.body.querySelectorAll('a[data-citation-key]').forEach(link => {
+       const url = resolveUrl(link.getAttribute('data-citation-key'));
+       if (url) {
+           link.setAttribute('href', url);
+       } else {
+           link.replaceWith(doc.createTextNode(link.textContent));
+       }
+   });
+   doc.body.querySelectorAll('a').forEach(link => {
+       link.removeAttribute('class');
+       link.removeAttribute('data-citation-key');
+       link.removeAttribute('data-citation-type');
+   });
+
+   doc.body.querySelectorAll('table').forEach(table => table.setAttribute('style', 'border-collapse:collapse;'));
+   doc.body.querySelectorAll('th, td').forEach(cell => cell.setAttribute('style', 'border:1px solid #ccc;padding:4px 8px;'));
+   doc.body.querySelectorAll('pre').forEach(pre => pre.setAttribute('style', 'background:#f4f4f4;padding:8px;white-space:pre-wrap;'));
+
+   return doc.body.innerHTML;
+}
+
+function formatTimestamp(value) {
+   const date = value instanceof Date ? value : new Date(value);
+   if (Number.isNaN(date.getTime())) return '';
+   return date.toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
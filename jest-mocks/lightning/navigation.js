@@ -0,0 +1,31 @@
+// Replaces the sfdx-lwc-jest stub so tests can see where the component navigated to
+import { createTestWireAdapter } from '@salesforce/wire-service-jest-util';
+
+export const CurrentPageReference = createTestWireAdapter(jest.fn());
+
+let navigatePageReference;
+let generateUrlPageReference;
+
+const Navigate = Symbol('Navigate');
+const GenerateUrl = Symbol('GenerateUrl');
+export const NavigationMixin = (Base) => {
+    return class extends Base {
+        [Navigate](pageReference) {
+            navigatePageReference = pageReference;
+        }
+
+        [GenerateUrl](pageReference) {
+            generateUrlPageReference = pageReference;
+            const recordId = pageReference?.attributes?.recordId;
+            return Promise.resolve(recordId ? `/s/detail/${recordId}` : 'https://www.example.com');
+        }
+    };
+};
+NavigationMixin.Navigate = Navigate;
+NavigationMixin.GenerateUrl = GenerateUrl;
+
+// The page reference passed to the last [NavigationMixin.Navigate] call
+export const getNavigateCalledWith = () => navigatePageReference;
+
+// The page reference passed to the last [NavigationMixin.GenerateUrl] call
+export const getGenerateUrlCalledWith = () => generateUrlPageReference;